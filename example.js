@@ -57,8 +57,8 @@ const server = zonemaster({
     // complete, optionally with an error.
     //
     // If IXFR is not supported, simply treat everything like an AXFR.
-    // Otherwise, determine the type from `req.question[0].type` and the last
-    // serial from `req.authority[0].serial` and act accordingly.
+    // Otherwise, record changes in a `zonemaster.Journal` set as the
+    // `journal` parameter, and IXFR is answered from it where possible.
     //
     // This is an example of treating everything as AXFR.
     bodyFn(conn, req, soa, emit, cb) {
@@ -107,9 +107,10 @@ server.setSlaves(['localhost@11053'], (err) => {
         process.exit(1);
     }
 
-    // Start listening.
+    // Start listening. SOA queries are also answered over UDP.
     server.listen(10053, () => {
         console.log('Listening on port ' + server.address().port);
+        server.listenUdp(10053);
 
         // Immediately send a NOTIFY to slaves.
         server.notify();
@@ -3,9 +3,26 @@
 
 const net = require('net');
 const dns = require('dns');
+const dgram = require('dgram');
 const stream = require('stream');
 const frame = require('frame-stream');
 const Packet = require('native-dns-packet');
+const tsig = require('./lib/tsig');
+const journal = require('./lib/journal');
+const measure = require('./lib/measure');
+const zone = require('./lib/zone');
+const zonefile = require('./lib/zonefile');
+const acl = require('./lib/acl');
+const invoke = require('./lib/invoke');
+const client = require('./lib/client');
+const validate = require('./lib/validate');
+const dnssec = require('./lib/dnssec');
+const update = require('./lib/update');
+const catalog = require('./lib/catalog');
+const accessLog = require('./lib/accesslog');
+const admin = require('./lib/admin');
+const records = require('./lib/records');
+const secondary = require('./lib/secondary');
 
 const RCODE = Packet.consts.NAME_TO_RCODE;
 const QCLASS = Packet.consts.NAME_TO_QCLASS;
@@ -15,46 +32,214 @@ const OPCODE = Packet.consts.NAME_TO_OPCODE;
 const QCLASS_NAMES = Packet.consts.QCLASS_TO_NAME;
 const QTYPE_NAMES = Packet.consts.QTYPE_TO_NAME;
 const OPCODE_NAMES = Packet.consts.OPCODE_TO_NAME;
+const RCODE_NAMES = Packet.consts.RCODE_TO_NAME;
 
 // Main export, returns a TCP server.
 //
-// Required properties of params are:
+// Required properties of params are either:
 //
 //  - `domain`: The domain name to serve.
 //
 //  - `soaFn`: Callback to build the SOA-record.
-//    Signature is `(connection, request) => soaRecord`
+//    Signature is `(connection, request, callback)`
+//    `callback` signature is `(error, soaRecord)`
+//
+//    Instead of calling the callback, `soaFn` may return a Promise of the
+//    SOA-record.
 //
 //  - `bodyFn`: Callback to build the AXFR/IXFR-question response.
 //    Signature is `(connection, request, soaRecord, emitFn, callback)`
-//    `emitFn` signature is `(record)`
+//    `emitFn` signature is `(record) => boolean`
 //    `callback` signature is `(error)`
 //
+//    `emitFn` returns false when the connection is congested. Large bodies
+//    should then wait for `emitFn.drain(callback)` before emitting more
+//    records. Without a callback, `drain` returns a Promise.
+//
+//    Instead of calling the callback, `bodyFn` may also return a Promise, or
+//    a Readable object stream or async iterable of records. An async
+//    generator function can be used as `bodyFn` directly. Streams and
+//    iterators are paused whenever the connection is congested, and stopped
+//    once `emitFn.aborted` is set, when the transfer has failed.
+//
+//    Errors thrown by `soaFn` and `bodyFn`, and rejected promises, are
+//    handled like callback errors. The response is SERVFAIL, and an `error`
+//    event is emitted on the server.
+//
+// Or, to serve multiple zones from one server:
+//
+//  - `zones`: Object mapping domain names to zone objects. Each zone object
+//    takes the `soaFn` and `bodyFn` properties described above, and may
+//    override `logFn`, `accessLogFn`, `batchSize`, `journal`, `acl`,
+//    `validate` and `dnssec`. A zone may also have its own `slaves` list,
+//    which is used in addition to the server-wide list. Callbacks are called
+//    with the zone object as context. Names are matched case-insensitively.
+//
+//    A zone object may also be a `Zone` instance, which provides the
+//    callbacks. Slaves are then notified whenever changes to it are
+//    committed. (A `Zone` instance can also be used as params directly.)
+//
+// To accept dynamic updates (RFC 2136), a zone object may also have:
+//
+//  - `updateFn`: Callback to apply an update.
+//    Signature is `(connection, request, operations, callback)`
+//    `callback` signature is `(error, rcode)`
+//
+//    Operations are described in `lib/update.js`. Prerequisites are already
+//    checked against the records from `soaFn` and `bodyFn`. The rcode is the
+//    response code, NOERROR if omitted. Instead of calling the callback,
+//    `updateFn` may return a Promise of the rcode. After a successful
+//    update, slaves are notified.
+//
+//    `Zone` instances apply updates directly, and need no `updateFn`.
+//    Updates must be allowed by the `update` ACL. Updates of the catalog
+//    zone are always refused.
+//
 // Optional properties of params are:
 //
-//  - `slaves`: Array of slave hosts to whitelist and notify.
+//  - `journal`: A `Journal` instance used to answer IXFR requests with just
+//    the differences. When the requested serial is not in the journal,
+//    `bodyFn` is called to build a full response, as for AXFR.
+//
+//  - `slaves`: Array of slave hosts to whitelist and notify for all zones.
 //    See `setSlaves` for a description.
 //
 //  - `logFn`: Function called for every request to write an access log entry.
-//    Signature is `(connection, request)`
+//    Signature is `(connection, request, access)`
+//    `access` is the result of the access check, an object with `allowed`
+//    and `reason` properties, or undefined if the request was not checked.
+//
+//  - `accessLogFn`: Function called once the response to a request is
+//    complete, to write a structured access log entry. Unlike `logFn`, it
+//    is also called for requests that are malformed.
+//    Signature is `(connection, request, entry)`
+//    `entry` is described in `lib/accesslog.js`. Use `accessLogger` to
+//    create a function that writes JSON lines or BIND-style lines.
+//
+//  - `acl`: Access control lists, in addition to the slave lists. An object
+//    with optional `query` (SOA queries), `transfer` (AXFR and IXFR),
+//    `notify` and `update` properties, each an object with `allow` and
+//    `deny` arrays. Entries are IPv4 or IPv6 addresses, or CIDR prefixes
+//    like `10.0.0.0/8`.
+//
+//    Invalid entries throw when creating the server, on `reload` and on
+//    `addZone`.
+//
+//    Requests from denied addresses are refused, even from slaves. Requests
+//    from allowed addresses are accepted without a slave entry. Slave entries
+//    still take precedence over allow entries, so their `key` is enforced.
+//
+//    For `notify`, only slaves are notified. Denied addresses are not
+//    notified, and when an allow list is set, only allowed addresses are.
+//    Zone objects may override each list separately.
+//
+//    For `update`, slave entries don't grant access, only the allow list
+//    does. The `update` rules may also have a `keys` array of TSIG key
+//    names. Updates must then be signed with one of these keys, and are
+//    accepted from any address not denied, unless an allow list is set.
+//
+//  - `packetSize`: Maximum packet size to use for sending, up to 65535.
+//    Transfers are packed up to this size, but at most 16384 bytes, because
+//    name compression can't point past that. (default: 4096)
+//
+//  - `keys`: Object mapping TSIG key names to key objects, with properties
+//    `algorithm` (e.g. `hmac-sha256`) and `secret` (base64 string or Buffer).
+//    Signed requests are verified against these keys, and responses to them
+//    are signed. See also the `key` option of slaves.
 //
-//  - `packetSize`: Maximum packet size to use for sending. (default: 4096)
+//  - `batchSize`: Maximum records to send in one packet, in addition to the
+//    `packetSize` limit. (default: no limit)
 //
-//  - `batchSize`: Maximum records to send in one packet. (default: 20)
+//  - `validate`: Check records emitted by `bodyFn` against the zone, as
+//    described for `validateZone`. Either `drop` to skip invalid records,
+//    and emit an `invalidRecord` event with arguments
+//    `(problem, connection)`, or `abort` to fail the transfer with SERVFAIL,
+//    and emit an `error` event. Errors have a `problems` property.
+//    (default: no validation)
+//
+//  - `dnssec`: A `Signer` instance to sign transfers with. DNSKEY, RRSIG and
+//    NSEC or NSEC3 records are added to the records emitted by `bodyFn`.
+//    Since all records are needed to build the chain, they are collected
+//    before anything is sent. The journal isn't used for signed zones, so
+//    IXFR is always answered with the full zone.
+//
+//    Signatures are only renewed when slaves transfer the zone, which they
+//    do only when the serial changes. The serial must therefore change more
+//    often than the signature validity, minus the refresh period.
+//
+//  - `catalog`: A `Catalog` instance, served as an additional zone, listing
+//    all other zones as members. Zone objects may have a `catalog` property
+//    with the member properties `group` and `coo`, or set it to false to
+//    leave the zone out. The catalog is updated on `addZone`, `removeZone`
+//    and `syncCatalog`, and slaves are notified when it changes.
+//
+//  - `notifyRetries`: Maximum number of times to retry sending a NOTIFY to a
+//    slave. (default: 5)
+//
+//  - `notifyRetryDelay`: Milliseconds to wait before the first retry. The
+//    delay is doubled on every subsequent retry. (default: 1000)
+//
+//  - `notifyTimeout`: Milliseconds to wait for a NOTIFY response.
+//    (default: 5000)
+//
+//  - `notifyProtocol`: Either `tcp` or `udp`. When sending over UDP, TCP is
+//    used as a fallback once retries are exhausted. (default: `tcp`)
+//
+//  - `slaveLagTimeout`: Milliseconds after a NOTIFY within which slaves are
+//    expected to transfer the new serial, before they are reported as
+//    lagging by `getStats`. (default: 3600000)
+//
+//  - `slaveRefreshInterval`: Milliseconds between re-resolving the hosts of
+//    slaves in the background, while the server is listening. See
+//    `refreshSlaves`. (default: no refresh)
+//
+//  - `maxTransfers`: Maximum number of concurrent AXFR and IXFR responses.
+//    Requests beyond the limit are answered with SERVFAIL. (default: no
+//    limit)
+//
+//  - `maxTransfersPerSlave`: The same, per slave entry, or per address for
+//    clients allowed by ACL. (default: no limit)
+//
+//  - `axfrInterval`: Minimum milliseconds between the start of full
+//    transfers of a zone to the same slave, either AXFR or IXFR not answered
+//    from the journal. Requests within the interval are answered with
+//    REFUSED. (default: no limit)
+//
+//  - `idleTimeout`: Milliseconds of inactivity after which a TCP connection
+//    is closed. This includes transfers that make no progress.
+//    (default: 120000)
+//
+//  - `transferTimeout`: Milliseconds an AXFR or IXFR response may take,
+//    after which it is stopped with SERVFAIL, and the connection is closed.
+//    (default: no limit)
+//
+// Requests refused because of these limits emit a `transferRefused` event
+// with arguments `(info, reason, connection)`, where `info` is as for the
+// `transferStart` event, and `reason` is the name of the exceeded limit.
+// Timeouts emit an `idleTimeout` event with argument `(connection)`, or a
+// `transferTimeout` event with arguments `(info, connection)`.
+//
+// Successful dynamic updates emit an `update` event with arguments
+// `(zoneName, operations, connection)`.
 //
 // The parameters can be changed at runtime by simply setting new values on the
 // same params object. (Also available as `server.params`.)
 //
-// The exception is `slaves`, which acts like a call to `setSlaves`.
+// The exception is `slaves`, which acts like a call to `setSlaves`. The same
+// goes for the `slaves` of a zone, which acts like a call to `setZoneSlaves`.
 exports = module.exports = (params) => {
+    exports.validateAcls(params);
+
     // Create the server and handle connections.
     const server = net.createServer((conn) => {
         const addr = exports.sanitizeAddress(conn.remoteAddress);
 
-        // Check against the whitelist.
-        const slave = conn.slave = server.slavesByIp[addr];
-        if (!slave || !slave.whitelist)
-            return conn.destroy();
+        // Track connections, to close them on shutdown.
+        connections.add(conn);
+        conn.on('close', () => connections.delete(conn));
+
+        // Find the slave entry, if any. Access is checked per request.
+        conn.slave = findWhitelisted(addr);
 
         // Handle connection errors.
         conn.on('error', (err) => {
@@ -68,161 +253,1319 @@ exports = module.exports = (params) => {
             server.emit('error', err);
         });
 
+        // Close idle connections.
+        conn.setTimeout(params.idleTimeout === undefined ?
+            120000 : params.idleTimeout);
+        conn.on('timeout', () => {
+            server.emit('idleTimeout', conn);
+            conn.destroy();
+        });
+
         // Wrap the duplex stream.
         exports.addWrappers(conn, params.packetSize || 4096);
 
         // Handle messages.
         exports.processStream(
-            conn, conn.readableWrap, conn.writableWrap, params,
-            // Handle user errors.
-            (conn, req, err) => {
-                err.request = req;
-                conn.emit('error', err);
+            conn, conn.readableWrap, conn.writableWrap, params, {
+                // Handle user errors.
+                errorFn: (conn, req, err) => {
+                    err.request = req;
+                    conn.emit('error', err);
+                },
+                warnFn: (conn, req, problem) => {
+                    server.emit('invalidRecord', problem, conn);
+                },
+                accessFn: checkAccess,
+                admitFn: admitTransfer,
+                updatedFn: onUpdated,
+                requestStartFn: onRequestStart,
+                requestEndFn: onRequestEnd,
+                paramsFn: () => params,
+                transferStartFn: onTransferStart,
+                transferEndFn: onTransferEnd
             }
         );
     });
 
-    // The currently configured slave list.
+    // Check the ACLs, whitelist and key for the requested zone. Returns an
+    // object with `allowed` and `reason` properties, and the matching `slave`
+    // entry, if any.
+    const checkAccess = (context, req, zone) => {
+        const addr = exports.sanitizeAddress(context.remoteAddress);
+        if (shutdownState)
+            return { allowed: false, reason: 'shutdown' };
+        let kind = req.question[0].type === QTYPE.SOA ? 'query' : 'transfer';
+        if (req.header.opcode === OPCODE.UPDATE)
+            kind = 'update';
+
+        // Denied addresses are always refused.
+        const rules = findAcl(zone, kind);
+        let result;
+        try { result = acl.check(rules, addr); }
+        catch (err) {
+            server.emit('error', err);
+            return { allowed: false, reason: 'error' };
+        }
+        if (result === 'deny')
+            return { allowed: false, reason: 'acl' };
+
+        // Updates are never allowed by slave entries. With a list of keys,
+        // they must be signed with one of them.
+        if (kind === 'update') {
+            if (rules && rules.keys) {
+                const keyNames = rules.keys.map(exports.normalizeName);
+                if (!req.tsig || keyNames.indexOf(req.tsig.keyName) === -1)
+                    return { allowed: false, reason: 'key' };
+                if (!rules.allow)
+                    return { allowed: true, reason: 'key' };
+            }
+            if (result === 'allow')
+                return { allowed: true, reason: 'acl' };
+            return { allowed: false, reason: 'unlisted' };
+        }
+
+        // Slaves must use their key, if they have one.
+        const slaves = findSlaves(addr, zone.name).filter((slave) => {
+            return slave.whitelist;
+        });
+        if (slaves.length) {
+            const slave = slaves.find((slave) => {
+                if (!slave.key)
+                    return true;
+                return Boolean(req.tsig) &&
+                    req.tsig.keyName === exports.normalizeName(slave.key);
+            });
+            if (slave)
+                return { allowed: true, reason: 'slave', slave };
+            return { allowed: false, reason: 'key' };
+        }
+
+        if (result === 'allow')
+            return { allowed: true, reason: 'acl' };
+        return { allowed: false, reason: 'unlisted' };
+    };
+
+    // Find the ACL rules of a kind for a zone. Zone rules override
+    // server-wide rules.
+    const findAcl = (zone, kind) => {
+        const zoneAcl = zone.params.acl;
+        if (zoneAcl && zoneAcl[kind])
+            return zoneAcl[kind];
+        return params.acl && params.acl[kind];
+    };
+
+    // Server-wide transfer statistics, see `getStats`.
+    const totals = { transfers: 0, failures: 0, records: 0, bytes: 0 };
+    // Per-slave state, by zone name and slave.
+    const slaveStates = new Map();
+    // Serial and time of the last NOTIFY, by zone name.
+    const notified = Object.create(null);
+
+    // Number of active transfers, overall and by slave key.
+    let activeTransfers = 0;
+    const activeBySlave = new Map();
+    // Start time of the last full transfer, by zone name and slave key.
+    const lastFullTransfers = new Map();
+
+    // Key identifying a slave. Clients without a slave entry, allowed by
+    // ACL, are identified by address.
+    const slaveKey = (slave, address) => {
+        return slave ? slave.host + '@' + slave.port : address;
+    };
+
+    // Get the state of a slave for a zone.
+    const getSlaveState = (name, slave, address) => {
+        const key = name + ' ' + slaveKey(slave, address);
+        let state = slaveStates.get(key);
+        if (!state) {
+            state = {
+                zone: name,
+                host: slave ? slave.host : address,
+                port: slave ? slave.port : undefined,
+                address: address,
+                serial: undefined,
+                lastSuccess: null,
+                lastFailure: null,
+                lastError: null,
+                transfers: 0,
+                failures: 0,
+                records: 0,
+                bytes: 0,
+                duration: 0
+            };
+            slaveStates.set(key, state);
+        }
+        return state;
+    };
+
+    // Apply transfer limits, see the main export.
+    const admitTransfer = (context, req, info) => {
+        const key = slaveKey(info.slave, info.address);
+        const fullKey = info.zone + ' ' + key;
+        const now = Date.now();
+
+        let reason = null;
+        let rcode = RCODE.SERVFAIL;
+        if (params.maxTransfers && activeTransfers >= params.maxTransfers) {
+            reason = 'maxTransfers';
+        }
+        else if (
+            params.maxTransfersPerSlave &&
+            (activeBySlave.get(key) || 0) >= params.maxTransfersPerSlave
+        ) {
+            reason = 'maxTransfersPerSlave';
+        }
+        else if (!info.incremental && params.axfrInterval) {
+            const last = lastFullTransfers.get(fullKey);
+            if (last !== undefined && now - last < params.axfrInterval) {
+                reason = 'axfrInterval';
+                rcode = RCODE.REFUSED;
+            }
+        }
+
+        if (reason) {
+            server.emit('transferRefused', info, reason, context);
+            return { rcode, reason };
+        }
+
+        if (!info.incremental)
+            lastFullTransfers.set(fullKey, now);
+        return null;
+    };
+
+    // Count requests in progress, overall and by connection, for shutdown.
+    // Connections are closed once idle during shutdown.
+    const connections = new Set();
+    let activeRequests = 0;
+    // Number of NOTIFY messages in progress.
+    let pendingNotifies = 0;
+    // State of a shutdown in progress, see `shutdown`.
+    let shutdownState = null;
+    const onRequestStart = (context) => {
+        activeRequests += 1;
+        context.activeRequests = (context.activeRequests || 0) + 1;
+    };
+    const onRequestEnd = (context) => {
+        activeRequests -= 1;
+        context.activeRequests -= 1;
+        if (shutdownState && !context.activeRequests && context.end)
+            context.end();
+        checkShutdown();
+    };
+
+    // Emit an event for updates, and notify slaves. In-memory zones notify
+    // slaves themselves, on commit.
+    const onUpdated = (context, req, zone, operations) => {
+        server.emit('update', zone.name, operations, context);
+        if (!(zone.params instanceof exports.Zone))
+            server.notify(zone.name);
+    };
+
+    // Track transfers, and emit events.
+    const onTransferStart = (context, req, info) => {
+        const key = slaveKey(info.slave, info.address);
+        activeTransfers += 1;
+        activeBySlave.set(key, (activeBySlave.get(key) || 0) + 1);
+        server.emit('transferStart', info, context);
+    };
+    const onTransferEnd = (context, req, info) => {
+        const key = slaveKey(info.slave, info.address);
+        activeTransfers -= 1;
+        if (activeBySlave.get(key) > 1)
+            activeBySlave.set(key, activeBySlave.get(key) - 1);
+        else
+            activeBySlave.delete(key);
+
+        const state = getSlaveState(info.zone, info.slave, info.address);
+        state.address = info.address;
+        if (info.error) {
+            state.lastFailure = info.end;
+            state.lastError = info.error.message;
+            state.failures += 1;
+            totals.failures += 1;
+        }
+        else {
+            state.serial = info.serial;
+            state.lastSuccess = info.end;
+            state.records = info.records;
+            state.bytes = info.bytes;
+            state.duration = info.duration;
+            state.transfers += 1;
+            totals.transfers += 1;
+            totals.records += info.records;
+            totals.bytes += info.bytes;
+        }
+        server.emit('transferEnd', info, context);
+
+        // Close the connection of timed out transfers.
+        if (info.error && info.error.code === 'ETIMEDOUT') {
+            server.emit('transferTimeout', info, context);
+            context.destroy();
+        }
+    };
+
+    // Get transfer statistics. Returns an object with server-wide counts of
+    // `transfers`, `failures`, `records` and `bytes`, the number of `active`
+    // transfers, and a `slaves` array.
+    //
+    // Slaves are listed per zone, once they have transferred the zone or were
+    // notified of it. Every entry has the properties `zone`, `host`, `port`,
+    // `address`, `serial` (last transferred), `lastSuccess`, `lastFailure`
+    // (Dates), `lastError` (message), `transfers`, `failures`, and the
+    // `records`, `bytes` and `duration` of the last successful transfer.
+    //
+    // A slave is `lagging` if it hasn't transferred the serial of the last
+    // NOTIFY within `slaveLagTimeout`.
+    server.getStats = () => {
+        const now = Date.now();
+        const timeout = params.slaveLagTimeout || 3600000;
+        const slaves = [];
+        slaveStates.forEach((state) => {
+            const last = notified[state.zone];
+            const lagging = Boolean(last) && now - last.time >= timeout && (
+                state.serial === undefined ||
+                zone.serialCompare(state.serial, last.serial) < 0
+            );
+            slaves.push(Object.assign({}, state, { lagging }));
+        });
+        return Object.assign({ active: activeTransfers, slaves }, totals);
+    };
+
+    // The currently configured server-wide slave list.
     server.slaves = [];
     // Slaves indexed by IP.
     server.slavesByIp = Object.create(null);
+    // Zone-specific slave lists and indices, by normalized zone name.
+    server.zoneSlaves = Object.create(null);
+    // UDP sockets, see `listenUdp`.
+    server.udpSockets = [];
+    // HTTP admin servers, see `listenAdmin`.
+    server.adminServers = [];
     // The parameters object.
     server.params = params;
 
-    // Notify configured slaves that the zone has changed.
-    server.notify = () => {
-        // Build the request packet.
+    // Find the slave entries for an address, for a specific zone. Multiple
+    // slaves may share an address, if they use different keys.
+    const findSlaves = (addr, name) => {
+        const match = (slave) => slave.addresses.indexOf(addr) !== -1;
+        const zoneSlaves = server.zoneSlaves[name];
+        const found = zoneSlaves ? zoneSlaves.slaves.filter(match) : [];
+        return found.length ? found : server.slaves.filter(match);
+    };
+
+    // Find a slave entry for an address that is whitelisted for any zone.
+    const findWhitelisted = (addr) => {
+        let slave = server.slavesByIp[addr];
+        if (slave && slave.whitelist)
+            return slave;
+
+        for (const name in server.zoneSlaves) {
+            slave = server.zoneSlaves[name].slavesByIp[addr];
+            if (slave && slave.whitelist)
+                return slave;
+        }
+    };
+
+    // Start listening for UDP messages, in addition to TCP connections. Only
+    // SOA queries are answered over UDP. AXFR is refused, and IXFR is
+    // answered with just the SOA-record, which tells the slave to retry over
+    // TCP. (See RFC 1995.)
+    //
+    // Without an address, listens on all IPv4 and IPv6 addresses. May be
+    // called multiple times to listen on several addresses. The sockets are
+    // available in `server.udpSockets`, and are closed with the server.
+    //
+    // The optional callback signature is `(error)`.
+    server.listenUdp = (port, address, cb) => {
+        if (typeof(address) === 'function') {
+            cb = address;
+            address = undefined;
+        }
+
+        const type = !address || net.isIPv6(address) ? 'udp6' : 'udp4';
+        const socket = dgram.createSocket(type);
+        server.udpSockets.push(socket);
+
+        socket.on('message', (msg, rinfo) => {
+            handleDatagram(socket, msg, rinfo);
+        });
+
+        // Report bind errors to the callback, other errors to the server.
+        const onBindError = (err) => {
+            server.udpSockets.splice(server.udpSockets.indexOf(socket), 1);
+            if (cb)
+                cb(err);
+            else
+                server.emit('error', err);
+        };
+        socket.once('error', onBindError);
+        socket.bind(port, address || '::', () => {
+            socket.removeListener('error', onBindError);
+            socket.on('error', (err) => {
+                server.emit('error', err);
+            });
+            if (cb)
+                cb(null);
+        });
+
+        return socket;
+    };
+
+    // Close UDP sockets along with the server.
+    server.on('close', () => {
+        server.udpSockets.forEach((socket) => socket.close());
+        server.udpSockets = [];
+    });
+
+    // Start an HTTP admin API listener, described in `lib/admin.js`. Options
+    // are:
+    //
+    //  - `token`: The secret clients must send as bearer token. Required.
+    //  - `port`: Port to listen on.
+    //  - `address`: Address to listen on. (default: `127.0.0.1`)
+    //  - `path`: Unix socket path to listen on, instead of a port.
+    //
+    // The HTTP servers are available in `server.adminServers`, and are closed
+    // with the server.
+    //
+    // The optional callback signature is `(error)`.
+    server.listenAdmin = (options, cb) => {
+        const adminServer = admin.createServer(server, options);
+        server.adminServers.push(adminServer);
+
+        // Report listen errors to the callback, other errors to the server.
+        const onListenError = (err) => {
+            server.adminServers.splice(
+                server.adminServers.indexOf(adminServer), 1);
+            if (cb)
+                cb(err);
+            else
+                server.emit('error', err);
+        };
+        const onListening = () => {
+            adminServer.removeListener('error', onListenError);
+            adminServer.on('error', (err) => {
+                server.emit('error', err);
+            });
+            if (cb)
+                cb(null);
+        };
+        adminServer.once('error', onListenError);
+        if (options.path)
+            adminServer.listen(options.path, onListening);
+        else
+            adminServer.listen(options.port, options.address || '127.0.0.1',
+                onListening);
+
+        return adminServer;
+    };
+
+    // Close admin listeners along with the server.
+    server.on('close', () => {
+        server.adminServers.forEach((adminServer) => adminServer.close());
+        server.adminServers = [];
+    });
+
+    // List the normalized names of all zones served.
+    server.zoneNames = () => exports.zoneNames(params);
+
+    // Build the current SOA-record of a zone, by calling `soaFn` without a
+    // connection, and with a SOA query as the request. The callback
+    // signature is `(error, soaRecord)`.
+    server.getSoa = (name, cb) => {
+        const zone = exports.findZone(params, name);
+        if (!zone) {
+            const err = new Error('Unknown zone: ' + name);
+            return process.nextTick(() => cb(err));
+        }
+
+        const req = new Packet();
+        req.header.id = Math.floor(Math.random() * 0x10000);
+        req.question = [{ class: QCLASS.IN, type: QTYPE.SOA, name: zone.name }];
+        invoke.callSoaFn(zone.params, null, req, cb);
+    };
+
+    // Handle a single UDP message.
+    const handleDatagram = (socket, msg, rinfo) => {
+        // The context mimics the properties of a TCP connection.
+        const context = {
+            protocol: 'udp',
+            socket: socket,
+            remoteAddress: rinfo.address,
+            remotePort: rinfo.port,
+            remoteFamily: rinfo.family
+        };
+
+        // Find the slave entry, if any. Access is checked per request.
+        const addr = exports.sanitizeAddress(rinfo.address);
+        context.slave = findWhitelisted(addr);
+
+        // Ignore anything that doesn't parse, or isn't a request.
+        let req;
+        try { req = exports.parsePacket(msg); }
+        catch (err) { return; }
+        if (req.header.qr)
+            return;
+
+        // Respond within the payload size the client can handle.
+        const payload = req.edns ? req.edns.class : 0;
+        const packetSize = Math.min(
+            Math.max(payload, 512), params.packetSize || 4096);
+
+        // Build single use streams for processing.
+        const readable = new stream.PassThrough({ objectMode: true });
+        const writable = new stream.Writable({
+            objectMode: true,
+            write: (pkt, unused, cb) => {
+                let data;
+                try { data = exports.writePacket(pkt, packetSize); }
+                catch (err) { return cb(err); }
+                socket.send(data, 0, data.length, rinfo.port, rinfo.address);
+                cb();
+            }
+        });
+        writable.on('error', (err) => {
+            err.connection = context;
+            err.request = req;
+            server.emit('error', err);
+        });
+
+        exports.processStream(context, readable, writable, params, {
+            // Handle user errors.
+            errorFn: (context, req, err) => {
+                err.connection = context;
+                err.request = req;
+                server.emit('error', err);
+            },
+            accessFn: checkAccess,
+            updatedFn: onUpdated,
+            requestStartFn: onRequestStart,
+            requestEndFn: onRequestEnd,
+            udp: true
+        });
+        readable.end(req);
+    };
+
+    // Notify configured slaves that a zone has changed. Without a zone name,
+    // slaves of all zones are notified.
+    //
+    // The current SOA-record is included in the message. It is built by
+    // calling `soaFn` without a connection, and with the NOTIFY message as
+    // the request.
+    //
+    // Slaves are expected to respond, as described in RFC 1996. Slaves that
+    // don't are retried with backoff, up to `notifyRetries` times. For every
+    // slave, either a `notifyAck` event is emitted with arguments
+    // `(slave, zoneName)`, or a `notifyFail` event with arguments
+    // `(error, slave, zoneName)`.
+    //
+    // A callback can be specified to capture the outcome. The signature is
+    // `(error, results)`, where `results` is an array with an object for every
+    // slave, with the properties `slave`, `zone` and `error`. The `error`
+    // argument itself is only set if the zone is unknown, or the SOA-record
+    // could not be built. If no callback is specified, errors are emitted on
+    // the server object, and an unknown zone throws.
+    server.notify = (name, cb) => {
+        if (typeof(name) === 'function') {
+            cb = name;
+            name = undefined;
+        }
+
+        if (name === undefined) {
+            const names = exports.zoneNames(params);
+            if (!cb)
+                return names.forEach((name) => server.notify(name));
+
+            // Combine results of all zones.
+            let results = [];
+            let pending = names.length;
+            if (pending === 0)
+                return cb(null, results);
+            return names.forEach((name) => {
+                server.notify(name, (err, res) => {
+                    // Aborted.
+                    if (pending === -1)
+                        return;
+
+                    // Handle errors.
+                    if (err) {
+                        pending = -1;
+                        return cb(err);
+                    }
+
+                    // Check if we're done.
+                    results = results.concat(res);
+                    if (--pending === 0)
+                        cb(null, results);
+                });
+            });
+        }
+
+        const zone = exports.findZone(params, name);
+        if (!zone) {
+            const err = new Error('Unknown zone: ' + name);
+            if (!cb)
+                throw err;
+            return process.nextTick(() => cb(err));
+        }
+
+        // Combine server-wide and zone-specific slaves.
+        let slaves = server.slaves;
+        const zoneSlaves = server.zoneSlaves[zone.name];
+        if (zoneSlaves)
+            slaves = slaves.concat(zoneSlaves.slaves);
+        slaves = slaves.filter((slave) => slave.notify);
+
+        // Pick the first address of each slave the ACL permits. Slaves
+        // without such an address are skipped.
+        let targets;
+        try {
+            const rules = findAcl(zone, 'notify');
+            targets = slaves.map((slave) => {
+                const address = slave.addresses.find((addr) => {
+                    if (!rules)
+                        return true;
+                    const result = acl.check(rules, addr);
+                    return result === 'allow' ||
+                        (result === undefined && !rules.allow);
+                });
+                return { slave, address };
+            }).filter((target) => target.address !== undefined);
+        }
+        catch (err) {
+            return cb ? cb(err) : server.emit('error', err);
+        }
+
+        // Build the SOA-record. NOTIFY messages are pending from here, until
+        // all slaves have responded or failed.
+        const req = createNotify(zone);
+        pendingNotifies += 1;
+        invoke.callSoaFn(zone.params, null, req, (err, soa) => {
+            process.nextTick(() => {
+                pendingNotifies -= 1;
+                checkShutdown();
+            });
+            if (err) {
+                err.request = req;
+                return cb ? cb(err) : server.emit('error', err);
+            }
+
+            // Track the serial slaves should catch up with.
+            notified[zone.name] = { serial: soa.serial, time: Date.now() };
+            targets.forEach((target) => {
+                getSlaveState(zone.name, target.slave, target.address);
+            });
+
+            // Notify every slave.
+            const results = [];
+            let pending = targets.length;
+            if (pending === 0)
+                return cb && cb(null, results);
+            targets.forEach((target, idx) => {
+                const slave = target.slave;
+                pendingNotifies += 1;
+                notifySlave(zone, soa, slave, target.address, (err) => {
+                    pendingNotifies -= 1;
+                    checkShutdown();
+                    results[idx] = { slave, zone: zone.name, error: err };
+
+                    if (err) {
+                        server.emit('notifyFail', err, slave, zone.name);
+                        if (!cb)
+                            server.emit('error', err);
+                    }
+                    else {
+                        server.emit('notifyAck', slave, zone.name);
+                    }
+
+                    // Check if we're done.
+                    if (--pending === 0 && cb)
+                        cb(null, results);
+                });
+            });
+        });
+    };
+
+    // Build a NOTIFY message for a zone.
+    const createNotify = (zone, soa) => {
         const req = new Packet();
+        req.header.id = Math.floor(Math.random() * 0x10000);
         req.header.opcode = OPCODE.NOTIFY;
         req.header.aa = 1;
         req.question = [{
             class: QCLASS.IN,
             type: QTYPE.SOA,
-            name: params.domain
+            name: zone.name
         }];
+        if (soa)
+            req.answer = [soa];
+        return req;
+    };
+
+    // Send a NOTIFY message to a single slave at the given address, and wait
+    // for the response. Failed attempts are retried with backoff. When
+    // sending over UDP, TCP is tried after UDP attempts are exhausted. The
+    // callback signature is `(error)`.
+    const notifySlave = (zone, soa, slave, address, cb) => {
+        const retries = params.notifyRetries === undefined ?
+            5 : params.notifyRetries;
+        let udp = params.notifyProtocol === 'udp';
+        let attempt = 0;
+        tryNotify();
+
+        function tryNotify() {
+            // Build the request packet.
+            const req = createNotify(zone, soa);
+
+            // Sign the request, if the slave has a key.
+            if (slave.key) {
+                const key = tsig.findKey(params.keys, slave.key);
+                if (!key) {
+                    const err = new Error('Unknown TSIG key: ' + slave.key);
+                    err.request = req;
+                    return cb(err);
+                }
+                req.tsig = new tsig.Session(slave.key, key);
+            }
+
+            // Finish the attempt, and retry on errors.
+            let done = false;
+            let closeFn;
+            const finish = (err, context) => {
+                if (done)
+                    return;
+                done = true;
+
+                clearTimeout(timer);
+                closeFn();
+
+                if (!err)
+                    return cb(null);
+
+                err.request = req;
+                err.connection = context;
+
+                // Fall back to TCP.
+                if (udp && (attempt >= retries || err.truncated)) {
+                    udp = false;
+                    attempt = 0;
+                    return tryNotify();
+                }
+
+                if (attempt >= retries)
+                    return cb(err);
+
+                const delay = (params.notifyRetryDelay || 1000) *
+                    Math.pow(2, attempt++);
+                setTimeout(tryNotify, delay);
+            };
+
+            // Limit the time to wait for a response.
+            const timer = setTimeout(() => {
+                finish(new Error('NOTIFY timed out'));
+            }, params.notifyTimeout || 5000);
+
+            // Send the request.
+            closeFn = (udp ? sendUdpNotify : sendTcpNotify)(
+                slave, address, req, finish);
+        }
+    };
+
+    // Send a NOTIFY message over TCP. Calls `finish` with an error or null,
+    // and the connection. Returns a function to close the connection.
+    const sendTcpNotify = (slave, address, req, finish) => {
+        const conn = net.connect(slave.port, address);
+        conn.slave = slave;
+
+        // Wrap the duplex stream.
+        exports.addWrappers(conn, params.packetSize || 4096);
+
+        conn.on('connect', () => {
+            conn.writableWrap.write(req);
+        });
+
+        // Check the response.
+        conn.readableWrap.on('data', (res) => {
+            finish(checkNotifyResponse(req, res), conn);
+        });
+
+        // Handle connection errors.
+        const onError = (err) => finish(err, conn);
+        conn.readableWrap.on('error', onError);
+        conn.on('error', onError);
+        conn.on('close', () => {
+            onError(new Error('Connection closed before NOTIFY response'));
+        });
+
+        return () => conn.destroy();
+    };
+
+    // Send a NOTIFY message over UDP. Same as `sendTcpNotify`, but the context
+    // passed to `finish` is the UDP socket.
+    const sendUdpNotify = (slave, address, req, finish) => {
+        const socket = dgram.createSocket(
+            net.isIPv6(address) ? 'udp6' : 'udp4');
+        socket.slave = slave;
+
+        let data;
+        try { data = exports.writePacket(req, 512); }
+        catch (err) {
+            process.nextTick(() => finish(err, socket));
+            return () => socket.close();
+        }
+        socket.send(data, 0, data.length, slave.port, address);
+
+        // Check the response. Unrelated messages are ignored.
+        socket.on('message', (msg) => {
+            let res;
+            try { res = exports.parsePacket(msg); }
+            catch (err) { return; }
+            if (res.header.id !== req.header.id)
+                return;
+
+            // The slave wants us to retry over TCP.
+            if (res.header.tc) {
+                const err = new Error('NOTIFY response truncated');
+                err.truncated = true;
+                return finish(err, socket);
+            }
+
+            finish(checkNotifyResponse(req, res), socket);
+        });
+
+        socket.on('error', (err) => finish(err, socket));
+
+        return () => socket.close();
+    };
+
+    // Check a response to a NOTIFY message. Returns an error or null.
+    const checkNotifyResponse = (req, res) => {
+        if (
+            res.header.id !== req.header.id ||
+            res.header.qr !== 1 ||
+            res.header.opcode !== OPCODE.NOTIFY
+        )
+            return new Error('Unexpected NOTIFY response');
+
+        if (res.header.rcode !== RCODE.NOERROR) {
+            const err = new Error('NOTIFY failed with rcode ' +
+                RCODE_NAMES[res.header.rcode]);
+            err.rcode = res.header.rcode;
+            return err;
+        }
+
+        if (req.tsig) {
+            const sig = res.wire && tsig.parse(res.wire);
+            if (!sig || req.tsig.verify(res.wire, sig))
+                return new Error('Bad NOTIFY response TSIG');
+        }
+
+        return null;
+    };
+
+    // Set the server-wide slave servers to whitelist and notify. This
+    // function also resolves hosts, and whitelists all addresses. (But only
+    // one is notified.)
+    //
+    // Takes an array which may contain:
+    //  - strings with an host/ip,
+    //  - strings with host/ip and port in NSD notation (`host@port`), or
+    //  - an object with `host`, and `port` properties.
+    //
+    // A callback can be specified to capture errors. If not specified, errors
+    // are emitted on the server object.
+    //
+    // The object form allows additional options:
+    //
+    //  - notify: Whether to send NOTIFY messages (default: true)
+    //  - whitelist: Whether to allow AXFR (default: true)
+    //  - key: Name of a TSIG key in `params.keys`. If set, requests from the
+    //    slave must be signed with this key, and NOTIFY messages to the slave
+    //    are signed with it. Several slaves with different keys may share an
+    //    address.
+    //
+    server.setSlaves = (slaves, cb) => {
+        exports.resolveSlaves(slaves, (err, slaves, slavesByIp) => {
+            if (err)
+                return cb ? cb(err) : server.emit('error', err);
+
+            // Commit.
+            server.slaves = slaves;
+            server.slavesByIp = slavesByIp;
+
+            // Callback.
+            if (cb)
+                cb();
+        });
+    };
+
+    // Set the slave servers of a single zone. These are used in addition to
+    // the server-wide slaves. Arguments are otherwise the same as for
+    // `setSlaves`.
+    server.setZoneSlaves = (name, slaves, cb) => {
+        name = exports.normalizeName(name);
+        exports.resolveSlaves(slaves, (err, slaves, slavesByIp) => {
+            if (err)
+                return cb ? cb(err) : server.emit('error', err);
+
+            // Commit.
+            server.zoneSlaves[name] = { slaves, slavesByIp };
+
+            // Callback.
+            if (cb)
+                cb();
+        });
+    };
+
+    // Resolve the hosts of all slaves again, and swap in the new addresses.
+    // Lookups that fail keep the last known addresses of the slave.
+    //
+    // For every slave with a changed address set, a `slaveChange` event is
+    // emitted with arguments `(slave, previousAddresses, zoneName)`. For
+    // every failed lookup, a `slaveLookupFail` event is emitted with
+    // arguments `(error, slave, zoneName)`. The zone name is undefined for
+    // server-wide slaves.
+    //
+    // Slave lists replaced by `setSlaves` or `setZoneSlaves` while lookups
+    // are in progress are left alone.
+    //
+    // The optional callback signature is `(error, changes)`, where `changes`
+    // is an array of objects with the properties `slave`, `zone` and
+    // `previous`.
+    server.refreshSlaves = (cb) => {
+        // Take a snapshot of the current lists.
+        const lists = [{ name: undefined, slaves: server.slaves }];
+        Object.keys(server.zoneSlaves).forEach((name) => {
+            lists.push({ name, slaves: server.zoneSlaves[name].slaves });
+        });
+
+        // Resolve hosts.
+        let pending = 0;
+        lists.forEach((list) => {
+            list.addresses = list.slaves.map((slave) => slave.addresses);
+            list.slaves.forEach((slave, idx) => {
+                pending += 1;
+                dns.lookup(slave.host, { all: true }, (err, addrs) => {
+                    if (err) {
+                        err.slave = slave;
+                        server.emit('slaveLookupFail', err, slave, list.name);
+                    }
+                    else {
+                        list.addresses[idx] = addrs.map(
+                            (addr) => exports.sanitizeAddress(addr.address)
+                        );
+                    }
+
+                    // Check if we're done.
+                    if (--pending === 0)
+                        onComplete();
+                });
+            });
+        });
+        if (pending === 0)
+            onComplete();
+
+        // Swap in the new addresses and indices.
+        function onComplete() {
+            const changes = [];
+            lists.forEach((list) => {
+                const current = list.name === undefined ? server.slaves :
+                    (server.zoneSlaves[list.name] || {}).slaves;
+                if (current !== list.slaves)
+                    return;
+
+                list.slaves.forEach((slave, idx) => {
+                    const previous = slave.addresses;
+                    const addresses = list.addresses[idx];
+                    if (previous.slice().sort().join() ===
+                            addresses.slice().sort().join())
+                        return;
+
+                    slave.addresses = addresses;
+                    changes.push({ slave, zone: list.name, previous });
+                });
+
+                // Commit.
+                const slavesByIp = exports.indexSlaves(list.slaves);
+                if (list.name === undefined)
+                    server.slavesByIp = slavesByIp;
+                else
+                    server.zoneSlaves[list.name] = {
+                        slaves: list.slaves,
+                        slavesByIp
+                    };
+            });
+
+            changes.forEach((change) => {
+                server.emit('slaveChange',
+                    change.slave, change.previous, change.zone);
+            });
+
+            // Callback.
+            if (cb)
+                cb(null, changes);
+        }
+    };
+
+    // Periodically refresh slaves, while listening.
+    let refreshTimer = null;
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimer);
+        if (!params.slaveRefreshInterval || !server.listening)
+            return;
+
+        refreshTimer = setTimeout(() => {
+            server.refreshSlaves(scheduleRefresh);
+        }, params.slaveRefreshInterval);
+        refreshTimer.unref();
+    };
+    server.on('listening', scheduleRefresh);
+    server.on('close', () => clearTimeout(refreshTimer));
+
+    // Notify slaves when changes to in-memory zones are committed. The
+    // listeners are kept by normalized zone name, to remove them again.
+    const zoneWatchers = new Map();
+    const watchZone = (name, zoneParams) => {
+        if (zoneParams instanceof zone.Zone) {
+            name = exports.normalizeName(name);
+            const listener = () => server.notify(name);
+            zoneParams.on('commit', listener);
+            zoneWatchers.set(name, { zoneParams, listener });
+        }
+    };
+    const unwatchZone = (name) => {
+        const watcher = zoneWatchers.get(name);
+        if (watcher) {
+            watcher.zoneParams.removeListener('commit', watcher.listener);
+            zoneWatchers.delete(name);
+        }
+    };
+    const watchZones = () => {
+        if (params.zones) {
+            Object.keys(params.zones).forEach((name) => {
+                watchZone(name, params.zones[name]);
+            });
+        }
+        else {
+            watchZone(params.domain, params);
+        }
+        if (params.catalog)
+            watchZone(params.catalog.name, params.catalog);
+    };
+    watchZones();
+
+    // Update the members of the catalog, if any, from the zones served, and
+    // commit. Call this after changing `params.zones` directly.
+    server.syncCatalog = () => {
+        const catalog = params.catalog;
+        if (!catalog)
+            return;
 
-        // Connect to every slave.
-        server.slaves.forEach((slave) => {
-            if (!slave.notify)
+        const members = {};
+        exports.zoneNames(params).forEach((name) => {
+            if (name === catalog.name)
                 return;
+            const properties = params.zones ?
+                exports.findZone(params, name).params.catalog : undefined;
+            if (properties !== false)
+                members[name] = properties || {};
+        });
+        catalog.setMembers(members).commit();
+    };
 
-            const conn = net.connect(slave.port, slave.host);
-            conn.slave = slave;
+    // Start serving a zone, given a zone object as described for `zones`.
+    // Its `slaves` are set as with `setZoneSlaves`, and the optional callback
+    // is called once they are resolved, with signature `(error)`. Requires the
+    // server to be created with a `zones` map.
+    server.addZone = (name, zoneParams, cb) => {
+        if (!params.zones)
+            throw new Error('Server was not created with a zones map');
+        acl.validate(zoneParams.acl);
 
-            // Wrap the duplex stream.
-            exports.addWrappers(conn, params.packetSize || 4096);
+        dropZone(name);
+        params.zones[name] = zoneParams;
+        watchZone(name, zoneParams);
+        server.syncCatalog();
 
-            // Send in fire and forget fashion.
-            // FIXME: Wait for response, or retry.
-            conn.on('connect', () => {
-                conn.writableWrap.end(req);
-            });
+        if (zoneParams.slaves)
+            server.setZoneSlaves(name, zoneParams.slaves, cb);
+        else if (cb)
+            process.nextTick(cb);
+    };
 
-            // Handle connection errors.
-            conn.on('error', (err) => {
-                err.request = req;
-                err.connection = conn;
-                server.emit('error', err);
-            });
+    // Stop serving a zone. Returns true if the zone was served.
+    server.removeZone = (name) => {
+        if (!params.zones)
+            throw new Error('Server was not created with a zones map');
+
+        if (!dropZone(name))
+            return false;
+        server.syncCatalog();
+        return true;
+    };
+
+    // Remove a zone from the zones map, and forget its state. Returns true if
+    // the zone was served.
+    const dropZone = (name) => {
+        name = exports.normalizeName(name);
+        const keys = Object.keys(params.zones).filter((key) => {
+            return exports.normalizeName(key) === name;
         });
+        keys.forEach((key) => delete params.zones[key]);
+        unwatchZone(name);
+        delete server.zoneSlaves[name];
+        return keys.length !== 0;
     };
+    server.syncCatalog();
 
-    // Set the slave servers to whitelist and notify. This function also
-    // resolves hosts, and whitelists all addresses. (But only one is
-    // notified.)
+    // Replace the params object. Requests in progress, including running
+    // transfers, finish with the old params, and new requests use the new
+    // params.
     //
-    // Takes an array which may contain:
-    //  - strings with an host/ip,
-    //  - strings with host/ip and port in NSD notation (`host@port`), or
-    //  - an object with `host`, and `port` properties.
-    //
-    // A callback can be specified to capture errors. If not specified, errors
-    // are emitted on the server object.
-    //
-    // The object form allows additional options:
-    //
-    //  - notify: Whether to send NOTIFY messages (default: true)
-    //  - whitelist: Whether to allow AXFR (default: true)
+    // The `slaves` of the new params, and of its zones, are resolved first,
+    // and swapped in together with the params. Lists that are not given keep
+    // their current slaves, except for zones no longer served.
     //
-    server.setSlaves = (slaves, cb) => {
-        slaves = slaves.map((slave) => {
-            // Expand strings to objects.
-            if (typeof(slave) === 'string') {
-                const parts = slave.split('@', 2);
-                slave = {
-                    host: parts[0],
-                    port: parseInt(parts[1], 10) || 53
-                };
-            }
+    // The optional callback signature is `(error)`. On error, nothing is
+    // changed. Invalid ACLs throw before anything is done.
+    server.reload = (newParams, cb) => {
+        exports.validateAcls(newParams);
 
-            // Apply defaults.
-            return Object.assign({
-                notify: true,
-                whitelist: true
-            }, slave);
-        });
+        const lists = [];
+        if (newParams.slaves)
+            lists.push({ name: undefined, slaves: newParams.slaves });
+        if (newParams.zones) {
+            Object.keys(newParams.zones).forEach((name) => {
+                const slaves = newParams.zones[name].slaves;
+                if (slaves)
+                    lists.push({ name: exports.normalizeName(name), slaves });
+            });
+        }
 
-        // Resolve hosts.
-        var pending = slaves.length;
+        // Resolve all lists.
+        let pending = lists.length;
+        let failed = false;
         if (pending === 0)
-            onComplete();
-        slaves.forEach((slave) => {
-            dns.lookup(slave.host, { all: true }, (err, addrs) => {
-                // Aborted.
-                if (pending === -1)
+            return process.nextTick(commit);
+        lists.forEach((list) => {
+            exports.resolveSlaves(list.slaves, (err, slaves, slavesByIp) => {
+                if (failed)
                     return;
-
-                // Handle errors.
                 if (err) {
-                    pending = -1;
+                    failed = true;
                     return cb ? cb(err) : server.emit('error', err);
                 }
 
-                // Process result.
-                pending -= 1;
-                slave.addresses = addrs.map(
-                    (addr) => exports.sanitizeAddress(addr.address)
-                );
-
-                // Check if we're done.
-                if (pending === 0)
-                    onComplete();
+                list.resolved = { slaves, slavesByIp };
+                if (--pending === 0)
+                    commit();
             });
         });
 
-        // Finalize.
-        function onComplete() {
-            // Build the IP index.
-            const slavesByIp = Object.create(null);
-            slaves.forEach((slave) => {
-                slave.addresses.forEach((addr) => {
-                    slavesByIp[addr] = slave;
-                });
+        // Swap in the params and slaves.
+        function commit() {
+            zoneWatchers.forEach((watcher, name) => unwatchZone(name));
+            params = newParams;
+            server.params = newParams;
+
+            const names = exports.zoneNames(params);
+            Object.keys(server.zoneSlaves).forEach((name) => {
+                if (names.indexOf(name) === -1)
+                    delete server.zoneSlaves[name];
+            });
+            lists.forEach((list) => {
+                if (list.name === undefined) {
+                    server.slaves = list.resolved.slaves;
+                    server.slavesByIp = list.resolved.slavesByIp;
+                }
+                else {
+                    server.zoneSlaves[list.name] = list.resolved;
+                }
             });
 
-            // Commit.
-            server.slaves = slaves;
-            server.slavesByIp = slavesByIp;
+            watchZones();
+            server.syncCatalog();
+            scheduleRefresh();
+            if (cb)
+                cb(null);
+        }
+    };
 
-            // Callback.
+    // Stop the server gracefully. New requests are refused, and idle
+    // connections closed. Requests in progress, including running transfers,
+    // and NOTIFY messages still waiting for a response are allowed to
+    // finish. UDP sockets and admin listeners are closed once no requests
+    // are in progress.
+    //
+    // Options are:
+    //
+    //  - `timeout`: Milliseconds after which remaining connections are
+    //    destroyed, which aborts their transfers, and NOTIFY messages are no
+    //    longer waited for. (default: no limit)
+    //
+    // A `shutdown` event is emitted when the shutdown starts. The optional
+    // callback signature is `(error)`. The error has the code `ETIMEDOUT` if
+    // the timeout was reached.
+    server.shutdown = (options, cb) => {
+        if (typeof(options) === 'function') {
+            cb = options;
+            options = undefined;
+        }
+        options = options || {};
+
+        if (shutdownState) {
             if (cb)
-                cb();
+                shutdownState.callbacks.push(cb);
+            return;
+        }
+
+        shutdownState = {
+            callbacks: cb ? [cb] : [],
+            closed: false,
+            timedOut: false,
+            timer: null
+        };
+        server.emit('shutdown');
+
+        // Stop accepting connections. This waits for open connections.
+        server.close(() => {
+            shutdownState.closed = true;
+            checkShutdown();
+        });
+        connections.forEach((conn) => {
+            if (!conn.activeRequests)
+                conn.end();
+        });
+
+        if (options.timeout !== undefined) {
+            shutdownState.timer = setTimeout(() => {
+                shutdownState.timedOut = true;
+                connections.forEach((conn) => conn.destroy());
+                checkShutdown();
+            }, options.timeout);
+        }
+
+        checkShutdown();
+    };
+
+    // Complete the shutdown, once everything is done.
+    const checkShutdown = () => {
+        const state = shutdownState;
+        if (!state || state.done)
+            return;
+
+        if (activeRequests === 0) {
+            server.udpSockets.forEach((socket) => socket.close());
+            server.udpSockets = [];
+            server.adminServers.forEach((adminServer) => adminServer.close());
+            server.adminServers = [];
         }
+        if (!state.closed || (pendingNotifies && !state.timedOut))
+            return;
+
+        state.done = true;
+        clearTimeout(state.timer);
+        let err = null;
+        if (state.timedOut) {
+            err = new Error('Shutdown timed out');
+            err.code = 'ETIMEDOUT';
+        }
+        state.callbacks.forEach((cb) => cb(err));
     };
 
-    // Set the slave list from parameters.
+    // Set the slave lists from parameters.
     if (params.slaves)
         server.setSlaves(params.slaves);
+    if (params.zones) {
+        Object.keys(params.zones).forEach((name) => {
+            const zone = params.zones[name];
+            if (zone.slaves)
+                server.setZoneSlaves(name, zone.slaves);
+        });
+    }
 
     return server;
 };
 
+// Parse a list of slaves and resolve their hosts. See `setSlaves` for the
+// input format.
+//
+// The callback signature is `(error, slaves, slavesByIp)`, where `slaves` is
+// the list of expanded slave objects, and `slavesByIp` is an index of them by
+// resolved address.
+exports.resolveSlaves = (slaves, cb) => {
+    slaves = slaves.map((slave) => {
+        // Expand strings to objects.
+        if (typeof(slave) === 'string') {
+            const parts = slave.split('@', 2);
+            slave = {
+                host: parts[0],
+                port: parseInt(parts[1], 10) || 53
+            };
+        }
+
+        // Apply defaults.
+        return Object.assign({
+            notify: true,
+            whitelist: true
+        }, slave);
+    });
+
+    // Resolve hosts.
+    var pending = slaves.length;
+    if (pending === 0)
+        onComplete();
+    slaves.forEach((slave) => {
+        dns.lookup(slave.host, { all: true }, (err, addrs) => {
+            // Aborted.
+            if (pending === -1)
+                return;
+
+            // Handle errors.
+            if (err) {
+                pending = -1;
+                return cb(err);
+            }
+
+            // Process result.
+            pending -= 1;
+            slave.addresses = addrs.map(
+                (addr) => exports.sanitizeAddress(addr.address)
+            );
+
+            // Check if we're done.
+            if (pending === 0)
+                onComplete();
+        });
+    });
+
+    // Finalize.
+    function onComplete() {
+        cb(null, slaves, exports.indexSlaves(slaves));
+    }
+};
+
+// Build an index of slaves by resolved address.
+exports.indexSlaves = (slaves) => {
+    const slavesByIp = Object.create(null);
+    slaves.forEach((slave) => {
+        slave.addresses.forEach((addr) => {
+            slavesByIp[addr] = slave;
+        });
+    });
+    return slavesByIp;
+};
+
 // Simple packet helper for our responses.
 class ResponsePacket extends Packet {
     constructor(req) {
         super();
         this.header.id = req.header.id;
+        this.header.opcode = req.header.opcode;
         this.header.qr = 1;
+        // Sign with the TSIG session of the request, if any.
+        if (req.tsig)
+            this.tsig = req.tsig;
     }
 }
 
@@ -231,113 +1574,658 @@ class ResponsePacket extends Packet {
 // The `context` parameter is passed to callback functions.
 // See the main export for a description of the params object.
 //
-// `errorFn` is optional and called on user callback errors.
-exports.processStream = (context, readable, writable, params, errorFn) => {
+// `hooks` is optional, and may contain:
+//
+//  - `errorFn`: Called on user callback errors.
+//    Signature is `(context, request, error)`
+//
+//  - `accessFn`: Called to check if a request for a zone is allowed. Denied
+//    requests are answered with REFUSED. The result is passed on to `logFn`.
+//    Signature is `(context, request, zone) => result`
+//    `result` is an object with `allowed` and `reason` properties, or just a
+//    boolean.
+//
+//  - `warnFn`: Called for records dropped by validation, see the `validate`
+//    param.
+//    Signature is `(context, request, problem)`
+//
+//  - `udp`: Set to true if the streams are datagram based. AXFR is then
+//    refused, and IXFR is answered with just the SOA-record.
+//
+//  - `admitFn`: Called before an AXFR or IXFR response starts, to apply
+//    limits. Refused transfers are answered with just the given rcode.
+//    Signature is `(context, request, info) => refusal`
+//    `info` is as for `transferStartFn`. `refusal` is an object with `rcode`
+//    and `reason` properties, or null to start the transfer.
+//
+//  - `updatedFn`: Called after an UPDATE message was applied successfully.
+//    Signature is `(context, request, zone, operations)`
+//
+//  - `transferStartFn`, `transferEndFn`: Called when an AXFR or IXFR
+//    response starts, and when it completes or fails.
+//    Signature is `(context, request, info)`
+//    `info` is the same object for both calls, with properties `zone`,
+//    `type` (`AXFR` or `IXFR`), `serial`, `incremental` (true if answered
+//    from the journal, or if already up-to-date), `slave` (from the access
+//    check result, if any), `address`, `start`, `end` (Dates), `duration`
+//    (milliseconds), `records`, `bytes` (approximate, without questions and
+//    signatures) and `error`.
+//
+//    Transfers fail with an `ETIMEDOUT` error after `params.transferTimeout`
+//    milliseconds, and when the context emits `close`.
+//
+//  - `requestStartFn`, `requestEndFn`: Called when a request is received,
+//    and once the response to it is complete, or has failed.
+//    Signature is `(context, request)`
+//
+//  - `paramsFn`: Called for every request to get the params to use for it,
+//    instead of the `params` argument. Requests in progress keep using the
+//    params they started with.
+//    Signature is `() => params`
+//
+// For compatibility, `hooks` may also be just the `errorFn` function.
+exports.processStream = (
+    context, readable, writable, streamParams, hooks
+) => {
+    if (typeof(hooks) === 'function')
+        hooks = { errorFn: hooks };
+    else if (!hooks)
+        hooks = {};
+
     // Packet listener.
     readable.on('data', (req) => {
+        const params = hooks.paramsFn ? hooks.paramsFn() : streamParams;
+        if (hooks.requestStartFn)
+            hooks.requestStartFn(context, req);
+
         // Create the first response packet.
         const pkt = new ResponsePacket(req);
         pkt.question = req.question;
 
+        // State used in the access log entry.
+        const received = new Date();
+        let zone = null;
+        let access;
+        let logged = false;
+
         // Accept exactly one question.
         if (req.question.length !== 1) {
             pkt.header.rcode = RCODE.FORMERR;
-            return writable.write(pkt);
+            return respond(pkt);
         }
 
-        // Optional logging hook.
+        // Verify the TSIG signature, if present. Responses are signed using
+        // the session set on the request.
+        if (req.wire) {
+            let session;
+            try { session = tsig.verifyRequest(req.wire, params.keys); }
+            catch (err) {
+                pkt.header.rcode = RCODE.FORMERR;
+                return respond(pkt);
+            }
+            if (session) {
+                req.tsig = session;
+                pkt.tsig = session;
+                if (session.error) {
+                    pkt.header.rcode = RCODE.NOTAUTH;
+                    return respond(pkt);
+                }
+            }
+        }
+
+        // Find the zone. Zone settings override server-wide settings.
         const q = req.question[0];
-        if (params.logFn)
-            params.logFn(context, req);
+        zone = exports.findZone(params, q.name) || null;
+        const zoneParams = zone ? zone.params : params;
 
-        // Accept only SOA, AXFR and IXFR queries
-        // for class IN and our exact domain.
-        if (
-            req.header.opcode !== OPCODE.QUERY ||
-            q.class !== QCLASS.IN ||
-            q.name !== params.domain || (
+        // Accept only SOA, AXFR and IXFR queries for class IN, and UPDATE
+        // messages. Refuse zones we don't serve. For transfers and updates,
+        // signal that we're not authoritative, like other servers do.
+        // Otherwise, check access to the zone. AXFR over UDP is never
+        // allowed.
+        const isUpdate = req.header.opcode === OPCODE.UPDATE;
+        if (isUpdate && (q.type !== QTYPE.SOA || q.class !== QCLASS.IN)) {
+            pkt.header.rcode = RCODE.FORMERR;
+        }
+        else if (
+            (!isUpdate && req.header.opcode !== OPCODE.QUERY) ||
+            q.class !== QCLASS.IN || (
                 q.type !== QTYPE.SOA &&
                 q.type !== QTYPE.AXFR &&
                 q.type !== QTYPE.IXFR
             )
         ) {
             pkt.header.rcode = RCODE.NOTIMP;
-            return writable.write(pkt);
         }
+        else if (!zone) {
+            pkt.header.rcode = q.type === QTYPE.SOA && !isUpdate ?
+                RCODE.REFUSED : RCODE.NOTAUTH;
+        }
+        else {
+            access = { allowed: true };
+            if (hooks.accessFn) {
+                access = hooks.accessFn(context, req, zone);
+                if (typeof(access) === 'boolean')
+                    access = { allowed: access };
+            }
+            if (access.allowed && hooks.udp && q.type === QTYPE.AXFR)
+                access = { allowed: false, reason: 'udp' };
+            if (!access.allowed)
+                pkt.header.rcode = RCODE.REFUSED;
+        }
+
+        // Optional logging hook.
+        const logFn = zoneParams.logFn || params.logFn;
+        if (logFn)
+            logFn(context, req, access);
+
+        // Set once the request failed, to ignore further records.
+        let failed = false;
+        // Transfer progress, see `transferStartFn`.
+        let info = null;
+        // Transfer timeout timer, and function to clean up once ended.
+        let timer = null;
+        let stopFn = null;
+
+        if (pkt.header.rcode !== RCODE.NOERROR)
+            return respond(pkt);
+        if (isUpdate)
+            return handleUpdate();
 
         // Call the SOA-record builder function.
-        params.soaFn(context, req, (err, soa) => {
+        invoke.callSoaFn(zoneParams, context, req, (err, soa) => {
             if (err)
                 return fail(err, true);
 
             // Send to first packet with the SOA record, which
-            // is the same for all questions we support.
+            // is the same for all questions we support. Stop here if it's
+            // just a SOA query, or an IXFR over UDP.
             pkt.header.aa = 1;
             pkt.answer = [soa];
-            writable.write(pkt);
+            const soaSize = measure.HEADER_SIZE + measure.measureRecord(
+                soa, measure.HEADER_SIZE, Object.create(null));
+            if ((q.type !== QTYPE.AXFR && q.type !== QTYPE.IXFR) || hooks.udp)
+                return respond(pkt, { serial: soa.serial, bytes: soaSize });
 
-            // Stop here if it's just a SOA query.
-            if (q.type !== QTYPE.AXFR && q.type !== QTYPE.IXFR)
-                return;
+            // Check if IXFR can be answered from the journal. If already
+            // up-to-date, the single SOA-record is the answer.
+            // Journals hold unsigned changes, so signed zones are always sent
+            // in full.
+            const signer = zoneParams.dnssec || params.dnssec || null;
+            const clientSoa = req.authority[0];
+            const zoneJournal = signer ?
+                null : zoneParams.journal || params.journal;
+            let upToDate = false;
+            let changes = null;
+            if (
+                q.type === QTYPE.IXFR && zoneJournal &&
+                clientSoa && clientSoa.type === QTYPE.SOA
+            ) {
+                if (clientSoa.serial === soa.serial)
+                    upToDate = true;
+                else
+                    changes = zoneJournal.getChanges(
+                        clientSoa.serial, soa.serial);
+            }
+
+            // Start tracking the transfer.
+            info = {
+                zone: zone.name,
+                type: QTYPE_NAMES[q.type],
+                serial: soa.serial,
+                incremental: upToDate || Boolean(changes),
+                slave: access.slave,
+                address: context.remoteAddress &&
+                    exports.sanitizeAddress(context.remoteAddress),
+                start: new Date(),
+                end: null,
+                duration: 0,
+                records: 0,
+                bytes: soaSize,
+                error: null
+            };
+
+            // Apply limits.
+            const refusal = hooks.admitFn ?
+                hooks.admitFn(context, req, info) : null;
+            if (refusal) {
+                pkt.header.aa = 0;
+                pkt.header.rcode = refusal.rcode;
+                pkt.answer = [];
+                info = null;
+                return respond(pkt, { serial: soa.serial });
+            }
 
-            // Records pending to be sent in a batch.
+            writable.write(pkt);
+            if (hooks.transferStartFn)
+                hooks.transferStartFn(context, req, info);
+
+            // Records pending to be sent in a batch, and the encoded size of
+            // the batch. Room is reserved for the TSIG record, if any.
+            const batchSize =
+                zoneParams.batchSize || params.batchSize || Infinity;
+            const maxSize = Math.min(params.packetSize || 4096,
+                measure.MAX_PACKET_SIZE) -
+                (req.tsig ? req.tsig.maxSize : 0);
             let pending = [];
+            let pendingSize = measure.HEADER_SIZE;
+            let names = Object.create(null);
+
+            // Set while waiting for the writable to drain, with callbacks to
+            // call once it does.
+            let congested = false;
+            let drainWaiters = [];
+            emitFn.drain = drain;
+            // Validator of records from `bodyFn`, if enabled.
+            let validator = null;
+            // Records collected for signing, if enabled.
+            let collected = [];
+            Object.defineProperty(emitFn, 'aborted', { get: () => failed });
+
+            // Stop the transfer when the connection closes, or when it takes
+            // too long.
+            stopFn = stop;
+            if (typeof(context.on) === 'function')
+                context.on('close', abort);
+            if (params.transferTimeout)
+                timer = setTimeout(timeOut, params.transferTimeout);
+
+            if (upToDate)
+                return endTransfer(null);
+
+            // Send difference sequences from the journal, each consisting of
+            // the old SOA-record, removed records, new SOA-record and added
+            // records.
+            if (changes) {
+                changes.forEach((entry) => {
+                    emitFn(Object.assign({}, soa, {
+                        serial: entry.fromSerial
+                    }));
+                    entry.removed.forEach(emitFn);
+                    emitFn(Object.assign({}, soa, {
+                        serial: entry.toSerial
+                    }));
+                    entry.added.forEach(emitFn);
+                });
+                return bodyCb(null);
+            }
 
-            // Call the body builder function.
-            params.bodyFn(context, req, soa, emitFn, bodyCb);
+            // Call the body builder function, and validate its records.
+            const validateMode = zoneParams.validate || params.validate;
+            if (validateMode)
+                validator = new validate.Validator(zone.name);
+            invoke.callBodyFn(zoneParams, context, req, soa, emitFn, bodyCb);
 
-            // Record emit function.
+            // Record emit function. Returns false if the caller should wait
+            // for the writable to drain.
             function emitFn(record) {
+                if (failed)
+                    return false;
+
+                // Drop invalid records, or abort.
+                if (validator) {
+                    const problems = validator.check(record);
+                    if (problems.length)
+                        return reject(problems) && !congested;
+                }
+
+                // Signing needs the complete zone.
+                if (signer) {
+                    collected.push(record);
+                    return true;
+                }
+
+                return pack(record);
+            }
+
+            // Add a record to the batch. Returns false if the caller should
+            // wait for the writable to drain.
+            function pack(record) {
+                // Measure the record. New compression targets are collected
+                // separately, until we know the record fits.
+                let recordNames = Object.create(names);
+                let size;
+                try {
+                    size = measure.measureRecord(
+                        record, pendingSize, recordNames);
+
+                    // Send a packet if the record doesn't fit, and measure
+                    // again for the new packet.
+                    if (pendingSize + size > maxSize && pending.length) {
+                        flush();
+                        recordNames = Object.create(names);
+                        size = measure.measureRecord(
+                            record, pendingSize, recordNames);
+                    }
+                }
+                catch (err) {
+                    return fail(err);
+                }
+
+                if (pendingSize + size > maxSize) {
+                    return fail(new Error(
+                        'Record too large for packet: ' + record.name + ' ' +
+                        QTYPE_NAMES[record.type]
+                    ));
+                }
+
                 pending.push(record);
+                pendingSize += size;
+                Object.assign(names, recordNames);
 
                 // Send a packet if we've reached the batch limit.
-                // FIXME: Intelligent batching. Right now, we send a fairly
-                // safe 20 records per packet, but we should probably fill
-                // up to a certain amount of bytes.
-                if (pending.length >= (params.batchSize || 20)) {
-                    const pkt = new ResponsePacket(req);
-                    pkt.header.aa = 1;
-                    pkt.answer = pending;
-                    writable.write(pkt);
-
-                    pending = [];
+                if (pending.length >= batchSize)
+                    flush();
+
+                return !congested;
+            }
+
+            // Send batched records.
+            function flush() {
+                const pkt = new ResponsePacket(req);
+                pkt.header.aa = 1;
+                pkt.answer = pending;
+                info.records += pending.length;
+                info.bytes += pendingSize;
+                if (!writable.write(pkt) && !congested) {
+                    congested = true;
+                    writable.on('drain', release);
+                }
+
+                pending = [];
+                pendingSize = measure.HEADER_SIZE;
+                names = Object.create(null);
+            }
+
+            // Call the callback once the writable has drained. Returns a
+            // Promise if no callback is given.
+            function drain(cb) {
+                if (!cb)
+                    return new Promise((resolve) => drain(resolve));
+                if (failed || !congested)
+                    return process.nextTick(cb);
+                drainWaiters.push(cb);
+            }
+
+            // Resume after the writable has drained.
+            function release() {
+                congested = false;
+                writable.removeListener('drain', release);
+
+                const waiters = drainWaiters;
+                drainWaiters = [];
+                waiters.forEach((cb) => cb());
+            }
+
+            // Handle validation problems. Returns false if the transfer was
+            // aborted.
+            function reject(problems) {
+                if (validateMode === 'abort') {
+                    const err = new Error(
+                        'Invalid zone content: ' + problems[0].message);
+                    err.problems = problems;
+                    fail(err);
+                    return false;
                 }
+
+                if (hooks.warnFn) {
+                    problems.forEach((problem) => {
+                        hooks.warnFn(context, req, problem);
+                    });
+                }
+                return true;
+            }
+
+            // Stop the transfer when the connection closes.
+            function abort() {
+                failed = true;
+                release();
+                endTransfer(new Error('Connection closed'));
+            }
+
+            // Stop the transfer after the timeout, and tell the client.
+            function timeOut() {
+                const err = new Error('Transfer timed out');
+                err.code = 'ETIMEDOUT';
+                failed = true;
+                release();
+                writeFailure(false);
+                endTransfer(err);
+            }
+
+            // Remove listeners once the transfer has ended.
+            function stop() {
+                clearTimeout(timer);
+                if (typeof(context.removeListener) === 'function')
+                    context.removeListener('close', abort);
             }
 
             // Final callback function.
             function bodyCb(err) {
+                if (failed)
+                    return;
                 if (err)
                     return fail(err);
 
-                // Flush any batched records.
-                if (pending.length) {
-                    const pkt = new ResponsePacket(req);
-                    pkt.header.aa = 1;
-                    pkt.answer = pending;
-                    writable.write(pkt);
+                // Check the records as a whole.
+                if (validator) {
+                    const problems = validator.finish();
+                    if (problems.length && !reject(problems))
+                        return;
+                }
+
+                // Sign the zone, and send the result.
+                if (signer) {
+                    let signed;
+                    try { signed = signer.sign(zone.name, soa, collected); }
+                    catch (err) { return fail(err); }
+                    collected = [];
+                    return sendAll(signed, finish);
                 }
 
+                finish();
+            }
+
+            // Send records, waiting for the writable to drain whenever it is
+            // congested.
+            function sendAll(records, cb) {
+                let i = 0;
+                const next = () => {
+                    while (i < records.length) {
+                        if (failed)
+                            return;
+                        if (!pack(records[i++]))
+                            return drain(next);
+                    }
+                    cb();
+                };
+                next();
+            }
+
+            // Complete the transfer.
+            function finish() {
+                if (failed)
+                    return;
+
+                // Flush any batched records.
+                if (pending.length)
+                    flush();
+
                 // Send closing packet, repeating the SOA record.
                 const pkt = new ResponsePacket(req);
                 pkt.header.aa = 1;
                 pkt.answer = [soa];
                 writable.write(pkt);
+                info.bytes += soaSize;
+                endTransfer(null);
             }
         });
 
-        // Handle user failure.
-        function fail(err, isFirst) {
-            // Send a server failure packet.
+        // Handle an UPDATE message. Prerequisites are checked first, then the
+        // updates, as described in RFC 2136 section 3.
+        function handleUpdate() {
+            const isZone = zoneParams instanceof exports.Zone;
+            const reply = (rcode) => {
+                pkt.header.rcode = rcode;
+                respond(pkt);
+            };
+
+            // The catalog only changes with the zones served.
+            if (zoneParams instanceof catalog.Catalog)
+                return reply(RCODE.REFUSED);
+            if (!isZone && !zoneParams.updateFn)
+                return reply(RCODE.NOTIMP);
+
+            // Apply the updates, once prerequisites are met.
+            const apply = (err, rcode) => {
+                if (err)
+                    return fail(err, true);
+                if (rcode !== RCODE.NOERROR)
+                    return reply(rcode);
+
+                const parsed = update.parseUpdates(zone.name, req.authority);
+                if (parsed.rcode !== RCODE.NOERROR)
+                    return reply(parsed.rcode);
+
+                const done = (err, rcode) => {
+                    if (err)
+                        return fail(err, true);
+                    rcode = rcode || RCODE.NOERROR;
+                    reply(rcode);
+                    if (rcode === RCODE.NOERROR && hooks.updatedFn)
+                        hooks.updatedFn(context, req, zone, parsed.operations);
+                };
+                if (!isZone) {
+                    return invoke.callUpdateFn(
+                        zoneParams, context, req, parsed.operations, done);
+                }
+                try { update.applyToZone(zoneParams, parsed.operations); }
+                catch (err) { return done(err); }
+                done(null, RCODE.NOERROR);
+            };
+
+            // Check prerequisites against the current zone contents. For
+            // in-memory zones, these are read directly, so the check and
+            // the update are atomic.
+            const prereqs = req.answer;
+            const check = (records) => {
+                apply(null, update.checkPrerequisites(
+                    zone.name, prereqs, records));
+            };
+            if (!prereqs.length)
+                return apply(null, RCODE.NOERROR);
+            if (isZone)
+                return check([zoneParams.soa()].concat(zoneParams.records()));
+
+            invoke.callSoaFn(zoneParams, context, req, (err, soa) => {
+                if (err)
+                    return apply(err);
+
+                const records = [soa];
+                const emitFn = invoke.createEmitFn((record) => {
+                    records.push(record);
+                });
+                invoke.callBodyFn(zoneParams, context, req, soa, emitFn,
+                    (err) => {
+                        if (err)
+                            return apply(err);
+                        check(records);
+                    });
+            });
+        }
+
+        // Finish tracking the transfer, if started.
+        function endTransfer(err) {
+            if (!info || info.end)
+                return;
+
+            if (stopFn)
+                stopFn();
+            info.end = new Date();
+            info.duration = info.end - info.start;
+            info.error = err;
+            if (hooks.transferEndFn)
+                hooks.transferEndFn(context, req, info);
+
+            writeLog(err ? RCODE.SERVFAIL : RCODE.NOERROR, {
+                serial: info.serial,
+                records: info.records,
+                bytes: info.bytes,
+                error: err
+            });
+        }
+
+        // Send a single packet response, and log it. See `writeLog` for the
+        // optional details.
+        function respond(pkt, details) {
+            writable.write(pkt);
+            writeLog(pkt.header.rcode, details);
+        }
+
+        // Mark the request as complete, and write the access log entry, once.
+        // Details are the `serial`, `records` and `bytes` sent, and the
+        // `error`, if any.
+        function writeLog(rcode, details) {
+            if (logged)
+                return;
+            logged = true;
+            if (hooks.requestEndFn)
+                hooks.requestEndFn(context, req);
+
+            const accessLogFn = (zone && zone.params.accessLogFn) ||
+                params.accessLogFn;
+            if (!accessLogFn)
+                return;
+
+            details = details || {};
+            const q = req.question[0] || {};
+            const slave = access && access.slave;
+            const address = context.remoteAddress;
+            const entry = {
+                time: received,
+                address: address ?
+                    exports.sanitizeAddress(String(address)) : null,
+                port: context.remotePort || null,
+                slave: slave ? slave.host : null,
+                key: req.tsig ? req.tsig.keyName : null,
+                zone: zone ? zone.name : null,
+                name: q.name === undefined ? null : q.name,
+                question: q.name === undefined ?
+                    OPCODE_NAMES[req.header.opcode] :
+                    exports.formatQuestion(req),
+                opcode: OPCODE_NAMES[req.header.opcode],
+                type: QTYPE_NAMES[q.type] || null,
+                access: access ? access.reason || null : null,
+                rcode: RCODE_NAMES[rcode],
+                serial: details.serial === undefined ? null : details.serial,
+                records: details.records || 0,
+                bytes: details.bytes || 0,
+                duration: Date.now() - received,
+                error: details.error ? details.error.message : null
+            };
+            accessLogFn(context, req, entry);
+        }
+
+        // Send a server failure packet.
+        function writeFailure(isFirst) {
             const pkt = new ResponsePacket(req);
             pkt.header.aa = 1;
             pkt.header.rcode = RCODE.SERVFAIL;
             if (isFirst)
                 pkt.question = req.question;
             writable.write(pkt);
+        }
+
+        // Handle user failure.
+        function fail(err, isFirst) {
+            failed = true;
+            writeFailure(isFirst);
+            endTransfer(err);
+            writeLog(RCODE.SERVFAIL, { error: err });
 
             // Call the error callback.
-            if (errorFn)
-                errorFn(context, req, err);
+            if (hooks.errorFn)
+                hooks.errorFn(context, req, err);
         }
     });
 };
@@ -370,35 +2258,109 @@ exports.addWrappers = (conn, packetSize) => {
 // buffers on one end, and on Packet instances on the other end. (Both in
 // object mode.)
 //
+// The parser keeps the message buffer as the `wire` property of packets.
+//
 // The writable function takes a maximum packet size, beyond which the DNS
-// packet is truncated.
+// packet is truncated. Packets with a `tsig` property set to a TSIG session
+// are signed after they are written.
 exports.createParser = () => new stream.Transform({
     readableObjectMode: true,
     writableObjectMode: true,
     transform: function(data, unused, cb) {
-        try { data = Packet.parse(data); }
+        let packet;
+        try { packet = exports.parsePacket(data); }
         catch (err) { return cb(err); }
-        cb(null, data);
+        cb(null, packet);
     }
 });
 exports.createWriter = (packetSize) => new stream.Transform({
     readableObjectMode: true,
     writableObjectMode: true,
     transform: function(packet, unused, cb) {
-        const data = new Buffer(packetSize);
-        let size;
-        try { size = Packet.write(data, packet); }
+        let data;
+        try { data = exports.writePacket(packet, packetSize); }
         catch (err) { return cb(err); }
-        cb(null, data.slice(0, size));
+        cb(null, data);
     }
 });
 
+// The synchronous functions used by the above transforms, for a single
+// message buffer. Both may throw.
+//
+// UPDATE messages are parsed separately, because their records may lack
+// rdata.
+exports.parsePacket = (data) => {
+    const isUpdate = data.length >= 4 &&
+        ((data[2] >> 3) & 0xF) === OPCODE.UPDATE;
+    const packet = isUpdate ? update.parseMessage(data) : Packet.parse(data);
+    packet.wire = data;
+    return packet;
+};
+exports.writePacket = (packet, packetSize) => {
+    const data = new Buffer(packetSize);
+    const size = Packet.write(data, packet);
+    if (packet.tsig)
+        return packet.tsig.sign(data.slice(0, size));
+    return data.slice(0, size);
+};
+
 // Transforms that implement DNS TCP framing. These operate on plain streams of
 // data on one end, and message buffers (in object mode) on the other end.
 const frameOptions = { lengthSize: 2 };
 exports.createTcpFrameDecoder = () => frame.decode(frameOptions);
 exports.createTcpFrameEncoder = () => frame.encode(frameOptions);
 
+// Utility: Normalize a domain name for comparison. Names are compared
+// case-insensitively, and a trailing dot is ignored. Question names are
+// matched to zones this way, the same as names given to the record
+// constructors.
+exports.normalizeName = (name) => records.normalizeName(name);
+
+// Utility: Find the zone for a question name.
+//
+// Returns an object with the normalized zone `name` and the zone `params`, or
+// undefined if the zone is not served. Without a `zones` map, params is
+// treated as a single zone for `params.domain`. The `catalog`, if any, is
+// served in addition.
+exports.findZone = (params, name) => {
+    name = exports.normalizeName(name);
+    if (params.catalog && params.catalog.name === name)
+        return { name, params: params.catalog };
+    if (!params.zones) {
+        if (params.domain && exports.normalizeName(params.domain) === name)
+            return { name, params };
+        return undefined;
+    }
+
+    for (const key in params.zones) {
+        if (exports.normalizeName(key) === name)
+            return { name, params: params.zones[key] };
+    }
+};
+
+// Utility: Check the ACLs of server params, their zones and the catalog.
+// Throws on invalid entries, so mistakes surface before requests are refused.
+exports.validateAcls = (params) => {
+    acl.validate(params.acl);
+    Object.keys(params.zones || {}).forEach((name) => {
+        acl.validate(params.zones[name].acl);
+    });
+    if (params.catalog)
+        acl.validate(params.catalog.acl);
+};
+
+// Utility: List the normalized names of all zones served.
+exports.zoneNames = (params) => {
+    let names;
+    if (!params.zones)
+        names = params.domain ? [exports.normalizeName(params.domain)] : [];
+    else
+        names = Object.keys(params.zones).map(exports.normalizeName);
+    if (params.catalog && names.indexOf(params.catalog.name) === -1)
+        names.push(params.catalog.name);
+    return names;
+};
+
 // Utility: Gets rid of IPv4 mapped addresses.
 exports.sanitizeAddress = (addr) => {
     if (addr.slice(0, 7) === '::ffff:')
@@ -415,5 +2377,54 @@ exports.formatQuestion = (req) => {
            QTYPE_NAMES[q.type];
 };
 
+// Utility: TSIG signing and verification.
+exports.tsig = tsig;
+
+// Utility: IXFR journal.
+exports.Journal = journal.Journal;
+
+// Utility: In-memory zones, and serial number arithmetic.
+exports.Zone = zone.Zone;
+exports.serialCompare = zone.serialCompare;
+exports.serialAdd = zone.serialAdd;
+
+// Utility: Address matching for access control lists.
+exports.acl = acl;
+
+// Utility: Client for SOA queries and zone transfers.
+exports.client = client;
+
+// Utility: Zone file parsing and serialization.
+exports.zonefile = zonefile;
+
+// Utility: Zone content validation.
+exports.validateZone = validate.validateZone;
+exports.Validator = validate.Validator;
+
+// Utility: DNSSEC signing and key loading.
+exports.dnssec = dnssec;
+exports.Signer = dnssec.Signer;
+
+// Utility: Access log formatters.
+exports.accessLog = accessLog;
+exports.accessLogger = accessLog.createLogger;
+
+// Utility: Catalog zones.
+exports.Catalog = catalog.Catalog;
+exports.catalogMemberLabel = catalog.memberLabel;
+
+// Utility: Dynamic update parsing, checking and applying.
+exports.update = update;
+
+// Utility: Record constructors and normalization.
+exports.records = records;
+
+// Utility: Fake secondary for end-to-end tests.
+exports.MockSecondary = secondary.MockSecondary;
+
 // Utility: Re-export constants.
 exports.consts = Packet.consts;
+
+// Run the command-line interface, if executed directly.
+if (require.main === module)
+    require('./lib/cli').main(process.argv.slice(2));
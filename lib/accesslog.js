@@ -0,0 +1,94 @@
+'use strict';
+
+// Formatters for the access log entries passed to `accessLogFn`.
+//
+// Entries are objects with the properties:
+//
+//  - `time`: Date the request was received.
+//  - `address`, `port`: Address and port of the client.
+//  - `slave`: Host of the matching slave entry, or null.
+//  - `key`: Name of the TSIG key the request was signed with, or null.
+//  - `zone`: Normalized name of the zone, or null if not served.
+//  - `name`: Name in the question.
+//  - `question`: Opcode, class and type, as from `formatQuestion`.
+//  - `opcode`, `type`: Names of the opcode and question type.
+//  - `access`: Reason of the access check result, or null if not checked.
+//  - `rcode`: Name of the response code. Failed transfers that already
+//    started are logged as SERVFAIL.
+//  - `serial`: Serial of the SOA-record served, or null.
+//  - `records`: Number of records sent, not counting SOA-records.
+//  - `bytes`: Approximate size of the records sent, including SOA-records.
+//  - `duration`: Milliseconds from request to completion.
+//  - `error`: Message of the error the request failed with, or null.
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep',
+    'Oct', 'Nov', 'Dec'];
+
+// Pad a number with zeroes.
+const pad = (n, length) => {
+    let str = String(n);
+    while (str.length < length)
+        str = '0' + str;
+    return str;
+};
+
+// Format a date like BIND does, in UTC: `19-Oct-2026 18:53:01.615`.
+const formatTime = (date) => {
+    return pad(date.getUTCDate(), 2) + '-' + MONTHS[date.getUTCMonth()] +
+        '-' + date.getUTCFullYear() + ' ' + pad(date.getUTCHours(), 2) +
+        ':' + pad(date.getUTCMinutes(), 2) + ':' +
+        pad(date.getUTCSeconds(), 2) + '.' +
+        pad(date.getUTCMilliseconds(), 3);
+};
+
+// Format an entry as a single line of JSON.
+exports.formatJson = (entry) => {
+    return JSON.stringify(entry);
+};
+
+// Format an entry as a line in the style of the BIND query and transfer
+// logs.
+exports.formatBind = (entry) => {
+    let line = formatTime(entry.time) + ' client ' + entry.address + '#' +
+        entry.port + ' (' + entry.name + '): ';
+
+    const zone = "'" + (entry.zone || entry.name) + "/IN'";
+    const isTransfer = entry.type === 'AXFR' || entry.type === 'IXFR';
+    if (entry.opcode === 'UPDATE') {
+        line += 'update ' + zone + ': ' + entry.rcode;
+    }
+    else if (isTransfer && entry.access && entry.rcode === 'REFUSED') {
+        line += 'zone transfer ' + zone + ' denied';
+    }
+    else if (isTransfer && entry.zone && entry.serial !== null) {
+        line += 'transfer of ' + zone + ': ' + entry.type;
+        if (entry.error)
+            return line + ' failed: ' + entry.error;
+        line += ' ended: ' + entry.records + ' records, ' + entry.bytes +
+            ' bytes, ' + (entry.duration / 1000).toFixed(3) + ' secs' +
+            ' (serial ' + entry.serial + ')';
+    }
+    else {
+        line += 'query: ' + entry.name + ' IN ' + entry.type + ' ' +
+            entry.rcode;
+    }
+
+    if (entry.error)
+        line += ': ' + entry.error;
+    return line;
+};
+
+// Build an `accessLogFn` that writes formatted entries as lines to a
+// writable stream. The format is either `json`, `bind`, or a function.
+exports.createLogger = (format, output) => {
+    const formatFn = typeof(format) === 'function' ? format : {
+        json: exports.formatJson,
+        bind: exports.formatBind
+    }[format];
+    if (!formatFn)
+        throw new Error('Unknown access log format: ' + format);
+
+    return (conn, req, entry) => {
+        output.write(formatFn(entry) + '\n');
+    };
+};
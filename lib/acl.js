@@ -0,0 +1,123 @@
+'use strict';
+
+// Address matching for access control lists.
+//
+// List entries are IPv4 or IPv6 addresses, or CIDR prefixes such as
+// `10.0.0.0/8` or `2001:db8::/32`. IPv4 addresses are handled as IPv4 mapped
+// IPv6 addresses, so IPv4 entries also match clients connecting over a dual
+// stack socket.
+//
+// Rules are objects with `allow` and `deny` lists. Deny entries take
+// precedence over allow entries.
+
+const net = require('net');
+
+// Parse an address into a 16 byte buffer. Returns null if the string is not
+// an IPv4 or IPv6 address.
+const parseAddress = (addr) => {
+    addr = String(addr).replace(/%.*$/, '');
+
+    const buf = new Buffer(16);
+    buf.fill(0);
+    if (net.isIPv4(addr)) {
+        buf[10] = buf[11] = 0xFF;
+        addr.split('.').forEach((part, i) => {
+            buf[12 + i] = parseInt(part, 10);
+        });
+        return buf;
+    }
+    if (!net.isIPv6(addr))
+        return null;
+
+    // Convert an embedded IPv4 address to hex groups.
+    const v4 = /(\d+\.\d+\.\d+\.\d+)$/.exec(addr);
+    if (v4) {
+        const tail = parseAddress(v4[1]);
+        addr = addr.slice(0, -v4[1].length) +
+            tail.readUInt16BE(12).toString(16) + ':' +
+            tail.readUInt16BE(14).toString(16);
+    }
+
+    // Expand the `::` shorthand.
+    const halves = addr.split('::');
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves[1] ? halves[1].split(':') : [];
+    const zeroes = halves.length === 2 ? 8 - head.length - tail.length : 0;
+    const groups = head.concat(new Array(zeroes).fill('0'), tail);
+    groups.forEach((group, i) => {
+        buf.writeUInt16BE(parseInt(group, 16), i * 2);
+    });
+    return buf;
+};
+exports.parseAddress = parseAddress;
+
+// Parse a list entry into an object with the `address` buffer and the number
+// of prefix `bits` to compare. Throws on invalid entries.
+const parseEntry = (entry) => {
+    const parts = String(entry).split('/');
+    const address = parseAddress(parts[0]);
+    if (!address || parts.length > 2 ||
+            (parts.length === 2 && !/^\d+$/.test(parts[1])))
+        throw new Error('Invalid ACL entry: ' + entry);
+
+    // Prefixes of IPv4 entries are relative to the mapped address.
+    const offset = net.isIPv4(parts[0]) ? 96 : 0;
+    const bits = parts.length === 2 ? offset + parseInt(parts[1], 10) : 128;
+    if (bits > 128)
+        throw new Error('Invalid ACL entry: ' + entry);
+    return { address, bits };
+};
+exports.parseEntry = parseEntry;
+
+// Check the rules of an `acl` object, as in server params, which maps kinds
+// of requests to rules. Throws on invalid lists or entries.
+exports.validate = (acl) => {
+    Object.keys(acl || {}).forEach((kind) => {
+        const rules = acl[kind];
+        if (!rules)
+            return;
+        ['allow', 'deny'].forEach((key) => {
+            const list = rules[key];
+            if (list === undefined)
+                return;
+            if (!Array.isArray(list))
+                throw new Error('Invalid ACL list: ' + kind + '.' + key);
+            list.forEach(parseEntry);
+        });
+    });
+};
+
+// Check if a parsed address falls within a parsed entry.
+const matchEntry = (buf, entry) => {
+    const bytes = entry.bits >> 3;
+    for (let i = 0; i < bytes; i++) {
+        if (buf[i] !== entry.address[i])
+            return false;
+    }
+
+    const rest = entry.bits & 7;
+    if (rest === 0)
+        return true;
+    const mask = (0xFF << (8 - rest)) & 0xFF;
+    return (buf[bytes] & mask) === (entry.address[bytes] & mask);
+};
+
+// Check if an address matches any entry in a list.
+exports.contains = (list, addr) => {
+    const buf = parseAddress(addr);
+    if (!buf || !list)
+        return false;
+    return list.some((entry) => matchEntry(buf, parseEntry(entry)));
+};
+
+// Check an address against rules. Returns `deny` or `allow` if the address
+// matches the respective list, or undefined if it matches neither.
+exports.check = (rules, addr) => {
+    if (!rules)
+        return undefined;
+    if (exports.contains(rules.deny, addr))
+        return 'deny';
+    if (exports.contains(rules.allow, addr))
+        return 'allow';
+    return undefined;
+};
@@ -0,0 +1,301 @@
+'use strict';
+
+// An HTTP API to inspect and control a server from other processes. All
+// requests and responses use JSON, and require the token in an
+// `Authorization: Bearer <token>` header.
+//
+// Endpoints are:
+//
+//  - `GET /health`: Status `ok`, or `lagging` if any slave is lagging, with
+//    the number of `zones`, `active` transfers and `lagging` slaves.
+//  - `GET /stats`: Transfer statistics, as from `getStats`.
+//  - `GET /zones`: Array of zones, each with the `name`, the current
+//    `serial`, and the zone-specific `slaves`. The serial is null, and
+//    `error` is set, if the SOA-record could not be built.
+//  - `GET /zones/<name>`: A single zone, which also includes the `soa`.
+//  - `POST /zones/<name>/notify`: Notify the slaves of a zone. Responds
+//    with the results of `notify`.
+//  - `PUT /zones/<name>/slaves`: Replace the slaves of a zone, given an
+//    array as for `setZoneSlaves`.
+//  - `POST /notify`: Notify the slaves of all zones.
+//  - `GET /slaves`: The server-wide `slaves`, and the zone-specific slaves
+//    by zone name in `zones`, with their resolved addresses.
+//  - `PUT /slaves`: Replace the server-wide slaves, given an array as for
+//    `setSlaves`.
+//  - `POST /slaves/refresh`: Resolve slave hosts again, as with
+//    `refreshSlaves`. Responds with the changes.
+//
+// Errors are responses with an `error` message.
+
+const http = require('http');
+const crypto = require('crypto');
+const tsig = require('./tsig');
+const normalizeName = require('./records').normalizeName;
+
+// Maximum size of request bodies.
+const MAX_BODY = 65536;
+
+// Describe a slave entry.
+const describeSlave = (slave) => ({
+    host: slave.host,
+    port: slave.port,
+    addresses: slave.addresses,
+    key: slave.key || null,
+    notify: slave.notify,
+    whitelist: slave.whitelist
+});
+
+// Describe NOTIFY results.
+const describeResults = (results) => results.map((result) => ({
+    zone: result.zone,
+    slave: describeSlave(result.slave),
+    error: result.error ? result.error.message : null
+}));
+
+// Check a bearer token in constant time.
+const checkToken = (header, token) => {
+    const match = /^Bearer (.+)$/.exec(header || '');
+    if (!match)
+        return false;
+    const given = crypto.createHash('sha256').update(match[1]).digest();
+    const expected = crypto.createHash('sha256').update(token).digest();
+    return tsig.timingSafeEqual(given, expected);
+};
+
+// Create the HTTP server for a zonemaster server. Options are:
+//
+//  - `token`: The secret clients must send. Required.
+//
+exports.createServer = (server, options) => {
+    options = options || {};
+    if (!options.token)
+        throw new Error('An admin token is required');
+
+    return http.createServer((req, res) => {
+        const send = (status, body) => {
+            const data = JSON.stringify(body);
+            res.writeHead(status, {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(data)
+            });
+            res.end(data);
+        };
+        const sendError = (status, err) => {
+            send(status, { error: err.message || String(err) });
+        };
+
+        if (!checkToken(req.headers.authorization, options.token)) {
+            req.resume();
+            return sendError(401, 'Unauthorized');
+        }
+
+        readBody(req, (err, body) => {
+            if (err)
+                return sendError(400, err);
+            route(server, req.method, req.url, body, (err, status, result) => {
+                if (err)
+                    return sendError(err.status || 500, err);
+                send(status, result);
+            });
+        });
+    });
+};
+
+// Read and parse a JSON request body. Empty bodies are undefined.
+const readBody = (req, cb) => {
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY && !done) {
+            done = true;
+            cb(new Error('Request body too large'));
+        }
+        else {
+            chunks.push(chunk);
+        }
+    });
+    req.on('end', () => {
+        if (done)
+            return;
+        done = true;
+
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (!text)
+            return cb(null, undefined);
+        let body;
+        try { body = JSON.parse(text); }
+        catch (err) { return cb(new Error('Invalid JSON body')); }
+        cb(null, body);
+    });
+};
+
+// Create an error with an HTTP status.
+const httpError = (status, message) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+};
+
+// Check a slave entry given in a request body. Entries are strings, or
+// objects with a string `host`, and optionally an integer `port` and a string
+// `key`.
+const isValidSlave = (slave) => {
+    if (typeof(slave) === 'string')
+        return true;
+    if (!slave || typeof(slave) !== 'object' || Array.isArray(slave))
+        return false;
+    if (typeof(slave.host) !== 'string')
+        return false;
+    if (slave.port !== undefined && !(Number.isInteger(slave.port) &&
+            slave.port > 0 && slave.port <= 65535))
+        return false;
+    return slave.key === undefined || typeof(slave.key) === 'string';
+};
+
+// Set slaves from a request body with `setFn`, which takes the slaves and a
+// callback. Invalid input, and errors thrown or passed by `setFn`, are 400
+// errors. The callback signature is `(error)`.
+const setSlaves = (setFn, body, cb) => {
+    if (!Array.isArray(body))
+        return cb(httpError(400, 'Expected an array of slaves'));
+    const invalid = body.find((slave) => !isValidSlave(slave));
+    if (invalid !== undefined)
+        return cb(httpError(400, 'Invalid slave: ' + JSON.stringify(invalid)));
+
+    try {
+        setFn(body, (err) => cb(err ? httpError(400, err.message) : null));
+    }
+    catch (err) {
+        cb(httpError(400, err.message));
+    }
+};
+
+// Handle a request. The callback signature is `(error, status, result)`.
+const route = (server, method, url, body, cb) => {
+    let parts;
+    try {
+        parts = url.split('?')[0].split('/').filter(Boolean)
+            .map(decodeURIComponent);
+    }
+    catch (err) {
+        return cb(httpError(400, 'Invalid URL'));
+    }
+    const path = parts.length ? '/' + parts[0] : '/';
+    const ok = (result) => cb(null, 200, result);
+
+    // Zone specific endpoints.
+    if (path === '/zones' && parts.length > 1) {
+        const name = normalizeName(parts[1]);
+        if (server.zoneNames().indexOf(name) === -1)
+            return cb(httpError(404, 'Unknown zone: ' + name));
+
+        const action = parts.slice(2).join('/');
+        if (method === 'GET' && action === '')
+            return describeZone(server, name, true, ok);
+        if (method === 'POST' && action === 'notify') {
+            return server.notify(name, (err, results) => {
+                if (err)
+                    return cb(err);
+                ok(describeResults(results));
+            });
+        }
+        if (method === 'PUT' && action === 'slaves') {
+            const setFn = (slaves, cb) => {
+                server.setZoneSlaves(name, slaves, cb);
+            };
+            return setSlaves(setFn, body, (err) => {
+                if (err)
+                    return cb(err);
+                describeZone(server, name, false, ok);
+            });
+        }
+        return cb(httpError(404, 'Not found'));
+    }
+
+    const key = method + ' ' + parts.join('/');
+    switch (key) {
+        case 'GET health': {
+            const stats = server.getStats();
+            const lagging = stats.slaves.filter((slave) => slave.lagging);
+            return ok({
+                status: lagging.length ? 'lagging' : 'ok',
+                zones: server.zoneNames().length,
+                active: stats.active,
+                lagging: lagging.length
+            });
+        }
+        case 'GET stats':
+            return ok(server.getStats());
+        case 'GET zones': {
+            const names = server.zoneNames();
+            const zones = [];
+            let pending = names.length;
+            if (pending === 0)
+                return ok(zones);
+            return names.forEach((name, idx) => {
+                describeZone(server, name, false, (zone) => {
+                    zones[idx] = zone;
+                    if (--pending === 0)
+                        ok(zones);
+                });
+            });
+        }
+        case 'POST notify':
+            return server.notify((err, results) => {
+                if (err)
+                    return cb(err);
+                ok(describeResults(results));
+            });
+        case 'GET slaves':
+            return ok(describeSlaves(server));
+        case 'PUT slaves':
+            return setSlaves(server.setSlaves, body, (err) => {
+                if (err)
+                    return cb(err);
+                ok(describeSlaves(server));
+            });
+        case 'POST slaves/refresh':
+            return server.refreshSlaves((err, changes) => {
+                if (err)
+                    return cb(err);
+                ok(changes.map((change) => ({
+                    zone: change.zone || null,
+                    slave: describeSlave(change.slave),
+                    previous: change.previous
+                })));
+            });
+        default:
+            return cb(httpError(404, 'Not found'));
+    }
+};
+
+// Describe a zone, with its current serial. The callback is called with the
+// description.
+const describeZone = (server, name, withSoa, cb) => {
+    const zoneSlaves = server.zoneSlaves[name];
+    const zone = {
+        name,
+        serial: null,
+        slaves: zoneSlaves ? zoneSlaves.slaves.map(describeSlave) : []
+    };
+    server.getSoa(name, (err, soa) => {
+        if (err)
+            zone.error = err.message;
+        else
+            zone.serial = soa.serial;
+        if (withSoa)
+            zone.soa = soa || null;
+        cb(zone);
+    });
+};
+
+// Describe the server-wide and zone-specific slaves.
+const describeSlaves = (server) => {
+    const zones = {};
+    Object.keys(server.zoneSlaves).forEach((name) => {
+        zones[name] = server.zoneSlaves[name].slaves.map(describeSlave);
+    });
+    return { slaves: server.slaves.map(describeSlave), zones };
+};
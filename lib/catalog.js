@@ -0,0 +1,131 @@
+'use strict';
+
+// Catalog zones, as described in RFC 9432.
+//
+// A catalog zone lists member zones, so secondaries that support catalogs
+// (NSD, BIND, Knot) can provision them without config changes. It is served
+// and transferred like any other zone.
+//
+// Every member has a PTR-record at `<label>.zones.<catalog>`, pointing to the
+// member zone. The label is the SHA-1 hash of the member name in wire format,
+// so it is stable across restarts. Members may have the properties:
+//
+//  - `group`: A group name, or array of names, published as TXT-records at
+//    `group.<label>.zones.<catalog>`. Secondaries may use groups to apply
+//    different settings to members.
+//
+//  - `coo`: The name of a catalog the member is migrating to, published as a
+//    PTR-record at `coo.<label>.zones.<catalog>`. (Change of ownership.)
+
+const crypto = require('crypto');
+const Packet = require('native-dns-packet');
+const Zone = require('./zone').Zone;
+const Journal = require('./journal').Journal;
+const encodeName = require('./tsig').encodeName;
+const normalizeName = require('./records').normalizeName;
+
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+
+// Version of the catalog zone schema.
+const SCHEMA_VERSION = '2';
+
+// Build the member label for a zone name.
+exports.memberLabel = (name) => {
+    return crypto.createHash('sha1').update(encodeName(name)).digest('hex');
+};
+
+// A catalog is an in-memory zone, see `Zone`. Membership changes are staged
+// like other changes, and applied on `commit`.
+class Catalog extends Zone {
+    // Options are those of `Zone`.
+    constructor(name, options) {
+        options = options || {};
+        super(name, Object.assign({}, options, { journal: undefined }));
+
+        // The fixed records are not a change. Keep the initial serial, and
+        // only start journaling afterwards.
+        const serial = this.serial;
+        this.add([
+            { type: QTYPE.NS, name: this.name, data: 'invalid' },
+            {
+                type: QTYPE.TXT,
+                name: 'version.' + this.name,
+                data: [SCHEMA_VERSION]
+            }
+        ]);
+        this.commit();
+        this.serial = serial;
+
+        if (options.journal === true)
+            this.journal = new Journal();
+        else if (options.journal)
+            this.journal = options.journal;
+    }
+
+    // The owner name of the member PTR-record of a zone.
+    memberName(name) {
+        return exports.memberLabel(name) + '.zones.' + this.name;
+    }
+
+    // Stage adding a member zone, or changing its properties.
+    setMember(name, properties) {
+        properties = properties || {};
+        const owner = this.memberName(name);
+        this.replace(owner, QTYPE.PTR, [
+            { type: QTYPE.PTR, name: owner, data: normalizeName(name) }
+        ]);
+
+        const groups = properties.group ? [].concat(properties.group) : [];
+        this.replace('group.' + owner, QTYPE.TXT, groups.map((group) => ({
+            type: QTYPE.TXT,
+            name: 'group.' + owner,
+            data: [group]
+        })));
+
+        const coo = properties.coo ? [{
+            type: QTYPE.PTR,
+            name: 'coo.' + owner,
+            data: normalizeName(properties.coo)
+        }] : [];
+        this.replace('coo.' + owner, QTYPE.PTR, coo);
+
+        return this;
+    }
+
+    // Stage removing a member zone, including its properties.
+    removeMember(name) {
+        const owner = this.memberName(name);
+        this.removeRRset(owner, QTYPE.PTR);
+        this.removeRRset('group.' + owner, QTYPE.TXT);
+        this.removeRRset('coo.' + owner, QTYPE.PTR);
+        return this;
+    }
+
+    // Stage replacing all members. `members` is an object mapping zone names
+    // to properties, which may be empty.
+    setMembers(members) {
+        const names = Object.keys(members).map((name) => normalizeName(name));
+        this.members().forEach((name) => {
+            if (names.indexOf(name) === -1)
+                this.removeMember(name);
+        });
+        Object.keys(members).forEach((name) => {
+            this.setMember(name, members[name]);
+        });
+        return this;
+    }
+
+    // Get the names of committed member zones.
+    members() {
+        const suffix = '.zones.' + this.name;
+        return this.records().filter((record) => {
+            if (record.type !== QTYPE.PTR)
+                return false;
+            const name = normalizeName(record.name);
+            const label = name.slice(0, -suffix.length);
+            return name.slice(-suffix.length) === suffix &&
+                label.indexOf('.') === -1;
+        }).map((record) => normalizeName(record.data));
+    }
+}
+exports.Catalog = Catalog;
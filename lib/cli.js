@@ -0,0 +1,625 @@
+'use strict';
+/*eslint no-console:0 */
+
+// The command-line interface, which runs when `index.js` is executed.
+//
+// The `serve` command runs a daemon serving zones from zone files or JSON
+// record files, as described in a JSON config file:
+//
+//     {
+//       "listen": { "port": 53, "address": "::", "udp": true },
+//       "packetSize": 4096,
+//       "slaves": ["192.0.2.1", "ns2.example.com@5353"],
+//       "acl": { "transfer": { "allow": ["10.0.0.0/8"] } },
+//       "keys": { "xfr-key": { "algorithm": "hmac-sha256", "secret": "..." } },
+//       "watchInterval": 1000,
+//       "accessLog": "json",
+//       "admin": { "port": 8053, "token": "..." },
+//       "catalog": "catalog.example",
+//       "zones": {
+//         "example.com": { "file": "example.com.zone" },
+//         "example.net": { "file": "example.net.json", "slaves": [] }
+//       }
+//     }
+//
+// The transfer limits and timeouts of the server params, such as
+// `maxTransfers` and `idleTimeout`, and `validate` may also be set.
+//
+// Requests are logged to stderr, unless `accessLog` is set to `json` or
+// `bind`, to write access log entries in that format to stdout instead.
+//
+// With `admin`, the HTTP admin API is started, with the options described
+// for `listenAdmin`. Admin options are not reloaded.
+//
+// Paths are relative to the config file. Besides `file`, zones take the
+// `slaves`, `acl`, `serialPolicy` and `catalog` options, and for JSON files,
+// `soa` and `ttl`.
+//
+// With `catalog`, a catalog zone of that name is served, listing all zones.
+// The `catalog` option of zones holds member properties, such as `group`, or
+// is false to leave the zone out. Catalog serials start at the current Unix
+// time, so they increase across restarts.
+//
+// Source files are watched, and reloaded when they change. Records are
+// replaced in the in-memory zone, which bumps the serial and notifies slaves
+// if anything changed. On SIGHUP, the config file is reloaded, and zones are
+// added and removed as necessary. The listen address can't be changed
+// without a restart.
+//
+// The last serial of every zone is kept in `stateFile`, with a digest of its
+// contents. (default: the config file path with `.state` appended) On
+// restart, zones continue from that serial, or the one after it if the
+// contents changed in the meantime, unless the source has a newer serial.
+// Set `stateFile` to false to always start from the source serial.
+//
+// On SIGTERM or SIGINT, the daemon shuts down gracefully. Running transfers
+// and NOTIFY messages may finish for `shutdownTimeout` milliseconds.
+// (default: 30000)
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Packet = require('native-dns-packet');
+const zonemaster = require('../index');
+const zonefile = require('./zonefile');
+const recordKey = require('./journal').recordKey;
+
+const QCLASS = Packet.consts.NAME_TO_QCLASS;
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+
+const USAGE = [
+    'Usage:',
+    '  zonemaster serve <config.json>',
+    '      Serve the zones in the config file.',
+    '  zonemaster notify <config.json> [zone...]',
+    '      Send NOTIFY messages to the slaves of all or some zones.',
+    '  zonemaster dump <host[@port]> <zone> [--key <name>',
+    '                  --algorithm <algorithm> --secret <base64>]',
+    '      Transfer a zone with AXFR, and print it as a zone file.'
+].join('\n');
+
+// Write a log line to stderr. May be replaced to capture the log.
+exports.log = (message) => {
+    console.error(new Date().toISOString() + ' ' + message);
+};
+const log = (message) => exports.log(message);
+
+// Split arguments into positional arguments and `--name value` options.
+const parseArgs = (argv) => {
+    const args = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].slice(0, 2) === '--')
+            options[argv[i].slice(2)] = argv[++i];
+        else
+            args.push(argv[i]);
+    }
+    return { args, options };
+};
+
+// Read a JSON config file. Zone file paths are resolved relative to it.
+exports.loadConfig = (file) => {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const dir = path.dirname(path.resolve(file));
+    config.zones = config.zones || {};
+    Object.keys(config.zones).forEach((name) => {
+        const zoneConfig = config.zones[name];
+        if (!zoneConfig.file)
+            throw new Error('No file specified for zone: ' + name);
+        zoneConfig.file = path.resolve(dir, zoneConfig.file);
+    });
+    if (config.stateFile === undefined)
+        config.stateFile = path.resolve(file) + '.state';
+    else if (config.stateFile)
+        config.stateFile = path.resolve(dir, config.stateFile);
+    return config;
+};
+
+// Read the state file. Returns an object mapping zone names to the last
+// `serial` and `digest`, which is empty if there is no state file.
+const loadState = (file) => {
+    if (!file)
+        return {};
+    try { return JSON.parse(fs.readFileSync(file, 'utf8')); }
+    catch (err) {
+        if (err.code !== 'ENOENT')
+            log('Failed to read state file: ' + err.message);
+        return {};
+    }
+};
+
+// Write the state file. The file is replaced atomically.
+const saveState = (file, state) => {
+    if (!file)
+        return;
+    const temp = file + '.tmp';
+    try {
+        fs.writeFileSync(temp, JSON.stringify(state));
+        fs.renameSync(temp, file);
+    }
+    catch (err) {
+        log('Failed to write state file: ' + err.message);
+    }
+};
+
+// Digest of the contents of a zone, to detect changes across restarts.
+const zoneDigest = (zone) => {
+    const keys = zone.records().map(recordKey).sort();
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ soa: zone.soaFields, records: keys }))
+        .digest('hex');
+};
+
+// Read the records of a zone from a zone file or JSON file. Returns an object
+// with the `soa` record or properties, if any, the default `ttl`, and the
+// other `records`.
+//
+// JSON files contain either an array of records, or an object with a
+// `records` array, and optional `soa` properties and default `ttl`. Types
+// may be given by name.
+exports.loadSource = (name, zoneConfig) => {
+    const file = zoneConfig.file;
+    const text = fs.readFileSync(file, 'utf8');
+
+    let records;
+    let soa = zoneConfig.soa;
+    let ttl = zoneConfig.ttl;
+    if (path.extname(file) === '.json') {
+        let data = JSON.parse(text);
+        if (Array.isArray(data))
+            data = { records: data };
+        if (data.soa)
+            soa = Object.assign({}, soa, data.soa);
+        if (data.ttl)
+            ttl = data.ttl;
+
+        records = (data.records || []).map((record) => {
+            record = Object.assign({ class: QCLASS.IN }, record);
+            if (typeof(record.type) === 'string')
+                record.type = QTYPE[record.type.toUpperCase()];
+            if (record.type === undefined)
+                throw new Error(file + ': Unknown record type');
+            if (record.ttl === undefined && ttl)
+                record.ttl = ttl;
+            return record;
+        });
+    }
+    else {
+        records = zonefile.parse(text, { file, origin: name, ttl });
+    }
+
+    // Separate the SOA-record.
+    const soaRecord = records.find((record) => record.type === QTYPE.SOA);
+    if (soaRecord)
+        soa = Object.assign({}, soa, soaRecord);
+    records = records.filter((record) => record.type !== QTYPE.SOA);
+
+    return { soa, ttl, records };
+};
+
+// Replace the records of a zone with those of a source. Returns the serial.
+const applySource = (zone, source) => {
+    if (source.soa) {
+        ['primary', 'admin', 'refresh', 'retry', 'expiration', 'minimum']
+            .forEach((key) => {
+                if (source.soa[key] !== undefined)
+                    zone.soaFields[key] = source.soa[key];
+            });
+    }
+
+    zone.rollback();
+    zone.remove(zone.records());
+    zone.add(source.records);
+    return zone.commit();
+};
+
+// Create an in-memory zone from its config. Continues from the serial in the
+// state, if that is newer than the source serial.
+const createZone = (name, zoneConfig, state) => {
+    const source = exports.loadSource(name, zoneConfig);
+    const zone = new zonemaster.Zone(name, {
+        serial: source.soa ? source.soa.serial : undefined,
+        ttl: source.ttl || (source.soa && source.soa.ttl),
+        serialPolicy: zoneConfig.serialPolicy
+    });
+    zone.acl = zoneConfig.acl;
+    zone.catalog = zoneConfig.catalog;
+
+    // The initial load is not a change. Keep the serial of the source, and
+    // only start journaling afterwards.
+    const serial = zone.serial;
+    applySource(zone, source);
+    zone.serial = serial;
+
+    const last = state && state[name];
+    if (last && zonemaster.serialCompare(last.serial, serial) >= 0) {
+        zone.serial = last.digest === zoneDigest(zone) ?
+            last.serial : zonemaster.serialAdd(last.serial, 1);
+    }
+
+    zone.journal = new zonemaster.Journal();
+    return zone;
+};
+
+// Copy server-wide settings from the config to server params.
+const applyParams = (params, config) => {
+    [
+        'packetSize', 'acl', 'keys', 'batchSize', 'notifyProtocol',
+        'maxTransfers', 'maxTransfersPerSlave', 'axfrInterval', 'idleTimeout',
+        'transferTimeout', 'validate'
+    ].forEach((key) => {
+        params[key] = config[key];
+    });
+};
+
+// Set the slaves of the server and all zones. The callback signature is
+// `(error)`.
+const applySlaves = (server, config, cb) => {
+    const names = Object.keys(config.zones);
+    let pending = names.length + 1;
+    let failed = false;
+    const done = (err) => {
+        if (failed)
+            return;
+        if (err) {
+            failed = true;
+            return cb(err);
+        }
+        if (--pending === 0)
+            cb(null);
+    };
+
+    server.setSlaves(config.slaves || [], done);
+    names.forEach((name) => {
+        server.setZoneSlaves(name, config.zones[name].slaves || [], done);
+    });
+};
+
+// Run the daemon. Returns an object with the `server`, the in-memory `zones`,
+// and the `reload` and `close` functions. The optional callback is called
+// once listening, with signature `(error)`.
+exports.serve = (configFile, cb) => {
+    let config = exports.loadConfig(configFile);
+    const state = loadState(config.stateFile);
+
+    // Record the serial of a zone in the state, now and on every change.
+    const track = (name, zone) => {
+        const update = () => {
+            state[name] = { serial: zone.serial, digest: zoneDigest(zone) };
+            saveState(config.stateFile, state);
+        };
+        zone.on('commit', update);
+        update();
+    };
+
+    // Load zones.
+    const zones = {};
+    Object.keys(config.zones).forEach((name) => {
+        zones[name] = createZone(name, config.zones[name], state);
+        track(name, zones[name]);
+        log('Loaded zone ' + name + ', serial ' + zones[name].serial);
+    });
+
+    // Create the server.
+    const params = {
+        zones: zones,
+        logFn(conn, req, access) {
+            const parts = [
+                zonemaster.sanitizeAddress(String(conn.remoteAddress)),
+                zonemaster.formatQuestion(req),
+                req.question[0].name
+            ];
+            if (access && !access.allowed)
+                parts.push('refused (' + access.reason + ')');
+            log(parts.join(' '));
+        }
+    };
+    if (config.accessLog) {
+        delete params.logFn;
+        params.accessLogFn = zonemaster.accessLogger(
+            config.accessLog, process.stdout);
+    }
+    if (config.catalog) {
+        params.catalog = new zonemaster.Catalog(config.catalog, {
+            serial: Math.floor(Date.now() / 1000),
+            journal: true
+        });
+    }
+    applyParams(params, config);
+    const server = zonemaster(params);
+    server.on('error', (err) => log('Error: ' + err.message));
+    server.on('invalidRecord', (problem) => {
+        log('Dropped invalid record: ' + problem.message);
+    });
+    server.on('notifyAck', (slave, name) => {
+        log('NOTIFY for ' + name + ' acknowledged by ' + slave.host);
+    });
+    server.on('notifyFail', (err, slave, name) => {
+        log('NOTIFY for ' + name + ' to ' + slave.host + ' failed: ' +
+            err.message);
+    });
+
+    // Watch source files, and reload zones when they change.
+    const watched = {};
+    const watch = (name) => {
+        const file = config.zones[name].file;
+        const listener = (curr, prev) => {
+            if (curr.mtime.getTime() === prev.mtime.getTime())
+                return;
+            reloadZone(name);
+        };
+        fs.watchFile(file, { interval: config.watchInterval || 1000 },
+            listener);
+        watched[name] = { file, listener };
+    };
+    const unwatch = (name) => {
+        fs.unwatchFile(watched[name].file, watched[name].listener);
+        delete watched[name];
+    };
+    const reloadZone = (name) => {
+        const zone = zones[name];
+        let source;
+        try { source = exports.loadSource(name, config.zones[name]); }
+        catch (err) {
+            return log('Failed to reload zone ' + name + ': ' + err.message);
+        }
+
+        const serial = zone.serial;
+        if (applySource(zone, source) !== serial)
+            log('Reloaded zone ' + name + ', serial ' + zone.serial);
+    };
+    Object.keys(zones).forEach(watch);
+
+    // Reload the config file.
+    const reload = () => {
+        let newConfig;
+        try {
+            newConfig = exports.loadConfig(configFile);
+            zonemaster.validateAcls(newConfig);
+        }
+        catch (err) {
+            return log('Failed to reload config: ' + err.message);
+        }
+
+        const listen = JSON.stringify(newConfig.listen);
+        if (listen !== JSON.stringify(config.listen))
+            log('Listen address changed, restart to apply');
+        if (newConfig.catalog !== config.catalog)
+            log('Catalog changed, restart to apply');
+
+        // Remove zones.
+        Object.keys(zones).forEach((name) => {
+            if (newConfig.zones[name])
+                return;
+            unwatch(name);
+            server.removeZone(name);
+            log('Removed zone ' + name);
+        });
+
+        // Add and update zones.
+        Object.keys(newConfig.zones).forEach((name) => {
+            const zoneConfig = newConfig.zones[name];
+            if (!zones[name]) {
+                let zone;
+                try { zone = createZone(name, zoneConfig, state); }
+                catch (err) {
+                    delete newConfig.zones[name];
+                    return log('Failed to load zone ' + name + ': ' +
+                        err.message);
+                }
+                server.addZone(name, zone);
+                track(name, zone);
+                log('Added zone ' + name + ', serial ' + zone.serial);
+            }
+            else {
+                zones[name].acl = zoneConfig.acl;
+                zones[name].catalog = zoneConfig.catalog;
+                unwatch(name);
+            }
+        });
+        server.syncCatalog();
+
+        config = newConfig;
+        Object.keys(zones).forEach((name) => {
+            watch(name);
+            reloadZone(name);
+        });
+
+        applyParams(params, config);
+        applySlaves(server, config, (err) => {
+            if (err)
+                return log('Failed to set slaves: ' + err.message);
+            log('Reloaded config');
+        });
+    };
+    process.on('SIGHUP', reload);
+
+    // Stop serving.
+    const close = (cb) => {
+        removeListeners();
+        server.close(cb);
+    };
+
+    // Shut down gracefully.
+    const terminate = () => {
+        log('Shutting down');
+        removeListeners();
+        const timeout = config.shutdownTimeout === undefined ?
+            30000 : config.shutdownTimeout;
+        server.shutdown({ timeout }, (err) => {
+            if (err)
+                log('Shutdown timed out, remaining transfers aborted');
+            log('Stopped');
+        });
+    };
+    process.on('SIGTERM', terminate);
+    process.on('SIGINT', terminate);
+
+    // Stop handling signals, and watching files.
+    const removeListeners = () => {
+        process.removeListener('SIGHUP', reload);
+        process.removeListener('SIGTERM', terminate);
+        process.removeListener('SIGINT', terminate);
+        Object.keys(watched).forEach(unwatch);
+    };
+
+    // Start listening.
+    const listen = config.listen || {};
+    const port = listen.port === undefined ? 53 : listen.port;
+    applySlaves(server, config, (err) => {
+        if (err) {
+            log('Failed to set slaves: ' + err.message);
+            return cb && cb(err);
+        }
+
+        server.listen(port, listen.address, () => {
+            log('Listening on port ' + server.address().port);
+            listenUdp((err) => {
+                if (err)
+                    return cb && cb(err);
+                listenAdmin((err) => cb && cb(err));
+            });
+        });
+    });
+
+    // Listen on UDP, unless disabled.
+    const listenUdp = (cb) => {
+        if (listen.udp === false)
+            return cb(null);
+
+        server.listenUdp(server.address().port, listen.address, (err) => {
+            if (err)
+                log('Failed to listen on UDP: ' + err.message);
+            cb(err);
+        });
+    };
+
+    // Start the admin API, if configured.
+    const listenAdmin = (cb) => {
+        if (!config.admin)
+            return cb(null);
+
+        server.listenAdmin(config.admin, (err) => {
+            if (err)
+                log('Failed to start admin API: ' + err.message);
+            else
+                log('Admin API listening on ' +
+                    (config.admin.path || 'port ' + config.admin.port));
+            cb(err);
+        });
+    };
+
+    return { server, zones, reload, close };
+};
+
+// Send NOTIFY messages for zones in the config file. The callback signature
+// is `(error, results)`, with results as for `server.notify`.
+exports.notify = (configFile, names, cb) => {
+    const config = exports.loadConfig(configFile);
+    const state = loadState(config.stateFile);
+    const zones = {};
+    Object.keys(config.zones).forEach((name) => {
+        zones[name] = createZone(name, config.zones[name], state);
+    });
+
+    const params = { zones };
+    applyParams(params, config);
+    const server = zonemaster(params);
+
+    applySlaves(server, config, (err) => {
+        if (err)
+            return cb(err);
+        if (!names.length)
+            return server.notify(cb);
+
+        let results = [];
+        let pending = names.length;
+        names.forEach((name) => {
+            server.notify(name, (err, res) => {
+                if (pending === -1)
+                    return;
+                if (err) {
+                    pending = -1;
+                    return cb(err);
+                }
+                results = results.concat(res);
+                if (--pending === 0)
+                    cb(null, results);
+            });
+        });
+    });
+};
+
+// Transfer a zone, and serialize it as a zone file. The callback signature is
+// `(error, text)`.
+exports.dump = (target, name, options, cb) => {
+    const parts = target.split('@', 2);
+    const request = {
+        host: parts[0],
+        port: parseInt(parts[1], 10) || 53,
+        name: name
+    };
+    if (options.key) {
+        request.key = options.key;
+        request.keys = {};
+        request.keys[options.key] = {
+            algorithm: options.algorithm || 'hmac-sha256',
+            secret: options.secret
+        };
+    }
+
+    zonemaster.client.transfer(request, (err, res) => {
+        if (err)
+            return cb(err);
+        const records = [res.soa].concat(res.records);
+        cb(null, zonefile.serialize(records, { origin: name }));
+    });
+};
+
+// Run a command with the given arguments.
+exports.main = (argv) => {
+    const parsed = parseArgs(argv);
+    const command = parsed.args[0];
+    const args = parsed.args.slice(1);
+
+    const fail = (err) => {
+        console.error('Error: ' + err.message);
+        process.exitCode = 1;
+    };
+
+    try {
+        if (command === 'serve' && args.length === 1) {
+            exports.serve(args[0], (err) => {
+                if (err)
+                    process.exit(1);
+            });
+        }
+        else if (command === 'notify' && args.length >= 1) {
+            exports.notify(args[0], args.slice(1), (err, results) => {
+                if (err)
+                    return fail(err);
+                results.forEach((res) => {
+                    const status = res.error ? res.error.message : 'OK';
+                    console.log(res.zone + ' ' + res.slave.host + '@' +
+                        res.slave.port + ' ' + status);
+                    if (res.error)
+                        process.exitCode = 1;
+                });
+            });
+        }
+        else if (command === 'dump' && args.length === 2) {
+            exports.dump(args[0], args[1], parsed.options, (err, text) => {
+                if (err)
+                    return fail(err);
+                process.stdout.write(text);
+            });
+        }
+        else {
+            console.error(USAGE);
+            process.exitCode = 2;
+        }
+    }
+    catch (err) {
+        fail(err);
+    }
+};
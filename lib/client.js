@@ -0,0 +1,338 @@
+'use strict';
+
+// A client for SOA queries and zone transfers, to pull zones from a master.
+//
+// Responses are checked for matching IDs, error rcodes and TSIG signatures.
+// Transfers must start and end with the same SOA-record, and may span any
+// number of messages.
+
+const net = require('net');
+const stream = require('stream');
+const Packet = require('native-dns-packet');
+const tsig = require('./tsig');
+const serialCompare = require('./zone').serialCompare;
+
+const RCODE = Packet.consts.NAME_TO_RCODE;
+const QCLASS = Packet.consts.NAME_TO_QCLASS;
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+const RCODE_NAMES = Packet.consts.RCODE_TO_NAME;
+
+// The main module provides the message framing. It requires this module, so
+// it is only required once used.
+const main = () => require('../index');
+
+// Build the request message.
+const buildRequest = (options, type) => {
+    const req = new Packet();
+    req.header.id = Math.floor(Math.random() * 0x10000);
+    req.question = [{ class: QCLASS.IN, type: type, name: options.name }];
+
+    // For IXFR, tell the master which serial we have. Only the serial of
+    // this SOA-record is of interest.
+    if (type === QTYPE.IXFR) {
+        req.authority = [{
+            class: QCLASS.IN,
+            type: QTYPE.SOA,
+            name: options.name,
+            ttl: 0,
+            primary: '',
+            admin: '',
+            serial: options.serial,
+            refresh: 0,
+            retry: 0,
+            expiration: 0,
+            minimum: 0
+        }];
+    }
+
+    // Sign the request, if a key is specified.
+    if (options.key) {
+        const key = tsig.findKey(options.keys, options.key);
+        if (!key)
+            throw new Error('Unknown TSIG key: ' + options.key);
+        req.tsig = new tsig.Session(options.key, key);
+    }
+
+    return req;
+};
+
+// Check a response message. Returns an error or null.
+const checkResponse = (req, res) => {
+    if (res.header.id !== req.header.id || res.header.qr !== 1)
+        return new Error('Unexpected response');
+
+    if (res.header.rcode !== RCODE.NOERROR) {
+        const err = new Error('Request failed with rcode ' +
+            RCODE_NAMES[res.header.rcode]);
+        err.rcode = res.header.rcode;
+        return err;
+    }
+
+    if (res.header.tc)
+        return new Error('Response truncated');
+
+    // Every message must be signed, if the request was.
+    if (req.tsig) {
+        const sig = res.wire && tsig.parse(res.wire);
+        if (!sig || req.tsig.verify(res.wire, sig))
+            return new Error('Bad response TSIG');
+    }
+
+    return null;
+};
+
+// Track the structure of a transfer, record by record. `add` returns true
+// once the closing SOA-record was seen.
+//
+// AXFR responses consist of the SOA-record, the zone records, and the
+// SOA-record again. IXFR responses are either the same, just the single
+// SOA-record if already up-to-date, or the incremental format of RFC 1995:
+// the new SOA-record, followed by difference sequences of the old
+// SOA-record, removed records, new SOA-record and added records, and closed
+// by the new SOA-record.
+class TransferState {
+    constructor(type, serial) {
+        this.type = type;
+        this.clientSerial = serial;
+        this.soa = null;
+        this.count = 0;
+        this.incremental = false;
+        this.changes = [];
+        this.current = null;
+        this.done = false;
+    }
+
+    add(record) {
+        this.count += 1;
+        const isSoa = record.type === QTYPE.SOA;
+
+        if (this.count === 1) {
+            if (!isSoa)
+                throw new Error('Transfer does not start with SOA');
+            this.soa = record;
+            return false;
+        }
+
+        // Determine the format from the second record.
+        if (this.count === 2 && this.type === QTYPE.IXFR && isSoa &&
+                record.serial !== this.soa.serial)
+            this.incremental = true;
+
+        if (!this.incremental) {
+            this.done = isSoa && record.serial === this.soa.serial;
+            return this.done;
+        }
+
+        // Incremental format.
+        if (!isSoa) {
+            if (!this.current)
+                throw new Error('Malformed IXFR response');
+            this.current[this.current.toSerial === undefined ?
+                'removed' : 'added'].push(record);
+            return false;
+        }
+
+        // A SOA-record either starts a sequence, switches from removed
+        // records to added records, or closes the transfer.
+        if (!this.current || this.current.toSerial !== undefined) {
+            if (record.serial === this.soa.serial) {
+                this.done = true;
+                return true;
+            }
+            this.current = {
+                fromSerial: record.serial,
+                toSerial: undefined,
+                removed: [],
+                added: []
+            };
+            this.changes.push(this.current);
+        }
+        else {
+            this.current.toSerial = record.serial;
+        }
+        return false;
+    }
+
+    // Check if the response is complete after a message. A single SOA-record
+    // in the first message is a complete IXFR response, if the client is
+    // already up-to-date.
+    isComplete() {
+        return this.done || (
+            this.type === QTYPE.IXFR && this.count === 1 &&
+            this.clientSerial !== undefined &&
+            serialCompare(this.soa.serial, this.clientSerial) <= 0
+        );
+    }
+}
+
+// Create a Readable object stream of the records of a transfer or query.
+//
+// Options are:
+//
+//  - `host`, `port`: Address of the master. (default port: 53)
+//  - `connection`: An existing connection to use instead, which is left open
+//    afterwards. Wrappers are added with `addWrappers`, if not present.
+//  - `name`: Name of the zone.
+//  - `type`: `AXFR`, `IXFR` or `SOA`, or a type number. (default: `AXFR`)
+//  - `serial`: For IXFR, the serial the client has.
+//  - `key`, `keys`: Name of a TSIG key to sign the request with, and a keys
+//    object as described for the server params. Responses must be signed.
+//  - `timeout`: Milliseconds of inactivity after which the request fails.
+//    (default: 30000)
+//
+// All records are emitted in order, including SOA-records delimiting IXFR
+// difference sequences, but not the closing SOA-record. Once known, the
+// `soa` and `incremental` properties of the stream are set, and for an
+// incremental IXFR, `changes` holds the difference sequences, in the same
+// format as journal entries.
+exports.createStream = (options) => {
+    const type = typeof(options.type) === 'number' ?
+        options.type : QTYPE[options.type || 'AXFR'];
+
+    let conn;
+    const out = new stream.Readable({
+        objectMode: true,
+        read() {
+            if (conn)
+                conn.readableWrap.resume();
+        }
+    });
+
+    let finished = false;
+    const finish = (err) => {
+        if (finished)
+            return;
+        finished = true;
+
+        if (conn) {
+            if (conn.setTimeout)
+                conn.setTimeout(0);
+            conn.removeListener('timeout', onTimeout);
+            conn.removeListener('error', finish);
+            conn.removeListener('close', onClose);
+            conn.readableWrap.removeListener('error', finish);
+            conn.readableWrap.removeListener('data', onData);
+            if (conn !== options.connection)
+                conn.destroy();
+        }
+
+        if (err) {
+            err.request = req;
+            out.emit('error', err);
+        }
+        else {
+            out.push(null);
+        }
+    };
+
+    // Build the request.
+    let req;
+    try { req = buildRequest(options, type); }
+    catch (err) {
+        process.nextTick(() => finish(err));
+        return out;
+    }
+
+    const state = new TransferState(type, options.serial);
+
+    // Handle response messages.
+    const onData = (res) => {
+        let err = checkResponse(req, res);
+        if (err)
+            return finish(err);
+
+        let more = true;
+        try {
+            if (type === QTYPE.SOA) {
+                const soa = res.answer.find((rr) => rr.type === QTYPE.SOA);
+                if (!soa)
+                    throw new Error('No SOA-record in response');
+                out.soa = soa;
+                out.push(soa);
+                return finish(null);
+            }
+
+            res.answer.forEach((record) => {
+                if (state.done)
+                    throw new Error('Records after end of transfer');
+                if (state.add(record))
+                    return;
+                if (!out.push(record))
+                    more = false;
+            });
+            out.soa = state.soa;
+            out.incremental = state.incremental;
+            if (state.incremental)
+                out.changes = state.changes;
+        }
+        catch (e) {
+            err = e;
+        }
+
+        if (err)
+            return finish(err);
+        if (state.isComplete()) {
+            // A single SOA-record means there are no changes.
+            if (!state.done)
+                out.incremental = true;
+            return finish(null);
+        }
+        if (!more)
+            conn.readableWrap.pause();
+    };
+
+    // Connect, and send the request.
+    conn = options.connection ||
+        net.connect(options.port || 53, options.host);
+    if (!conn.readableWrap)
+        main().addWrappers(conn, 65535);
+
+    const onTimeout = () => finish(new Error('Request timed out'));
+    const onClose = () => {
+        finish(new Error('Connection closed before end of response'));
+    };
+    if (conn.setTimeout) {
+        conn.setTimeout(options.timeout || 30000);
+        conn.on('timeout', onTimeout);
+    }
+    conn.on('error', finish);
+    conn.on('close', onClose);
+    conn.readableWrap.on('error', finish);
+    conn.readableWrap.on('data', onData);
+    conn.writableWrap.write(req);
+
+    return out;
+};
+
+// Transfer a zone. Takes the same options as `createStream`.
+//
+// The callback signature is `(error, result)`, where `result` is an object
+// with properties `soa`, `records` (without the SOA-records at the start and
+// end), and `incremental`. For an incremental IXFR, `records` is empty, and
+// `changes` holds the difference sequences instead. Both are empty if the
+// client is already up-to-date.
+exports.transfer = (options, cb) => {
+    const records = [];
+    const res = exports.createStream(options);
+    res.on('data', (record) => records.push(record));
+    res.on('error', (err) => cb(err));
+    res.on('end', () => {
+        cb(null, {
+            soa: res.soa,
+            records: res.incremental ? [] : records.slice(1),
+            incremental: Boolean(res.incremental),
+            changes: res.changes || []
+        });
+    });
+};
+
+// Query the SOA-record of a zone. Takes the same options as `createStream`,
+// except for `type`. The callback signature is `(error, soaRecord)`.
+exports.querySoa = (options, cb) => {
+    const res = exports.createStream(Object.assign({}, options, {
+        type: QTYPE.SOA
+    }));
+    res.on('data', () => {});
+    res.on('error', (err) => cb(err));
+    res.on('end', () => cb(null, res.soa));
+};
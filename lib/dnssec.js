@@ -0,0 +1,732 @@
+'use strict';
+
+// Online DNSSEC signing, as described in RFC 4033 to 4035, with NSEC3 as
+// described in RFC 5155.
+//
+// A `Signer` takes the records of a zone, and returns them with DNSKEY, RRSIG
+// and NSEC or NSEC3 records added. Signatures are cached per zone, so RRsets
+// that didn't change since the previous run are not signed again, until
+// their signatures approach expiry.
+//
+// Supported algorithms are ECDSA P-256 with SHA-256 (13) and Ed25519 (15).
+// Ed25519 needs Node.js 12 or newer.
+// The packet writer doesn't know DNSSEC types, so these records are built with
+// a raw `data` buffer.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const Packet = require('native-dns-packet');
+const acl = require('./acl');
+const encodeName = require('./tsig').encodeName;
+const normalizeName = require('./records').normalizeName;
+
+const QCLASS = Packet.consts.NAME_TO_QCLASS;
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+
+// Algorithm numbers.
+exports.ECDSAP256SHA256 = 13;
+exports.ED25519 = 15;
+
+// DNSKEY flags.
+const FLAG_ZONE = 256;
+const FLAG_SEP = 1;
+
+// DNSSEC record types, which are replaced when signing.
+const DNSSEC_TYPES = [QTYPE.RRSIG, QTYPE.NSEC, QTYPE.NSEC3, QTYPE.NSEC3PARAM];
+
+// Defaults, in seconds.
+const DEFAULT_VALIDITY = 14 * 86400;
+const DEFAULT_INCEPTION_OFFSET = 3600;
+
+// Labels of a normalized name.
+const splitName = (name) => name ? name.split('.') : [];
+
+// Current time in seconds.
+const now = () => Math.floor(Date.now() / 1000);
+
+// Encode numbers in network order.
+const uint8 = (value) => new Buffer([value & 0xFF]);
+const uint16 = (value) => {
+    const buf = new Buffer(2);
+    buf.writeUInt16BE(value, 0);
+    return buf;
+};
+const uint32 = (value) => {
+    const buf = new Buffer(4);
+    buf.writeUInt32BE(value >>> 0, 0);
+    return buf;
+};
+
+// Encode a character string.
+const encodeString = (str) => {
+    const buf = Buffer.isBuffer(str) ? str : new Buffer(String(str), 'utf8');
+    return Buffer.concat([uint8(buf.length), buf]);
+};
+
+// Encode the rdata of a record in canonical form. Names are uncompressed
+// and lowercase.
+const encodeData = (record) => {
+    switch (record.type) {
+        case QTYPE.A:
+            return acl.parseAddress(record.address).slice(12);
+        case QTYPE.AAAA:
+            return acl.parseAddress(record.address);
+        case QTYPE.NS:
+        case QTYPE.CNAME:
+        case QTYPE.PTR:
+            return encodeName(record.data);
+        case QTYPE.MX:
+            return Buffer.concat([
+                uint16(record.priority), encodeName(record.exchange)
+            ]);
+        case QTYPE.TXT:
+        case QTYPE.SPF:
+            return Buffer.concat([].concat(record.data).map(encodeString));
+        case QTYPE.SRV:
+            return Buffer.concat([
+                uint16(record.priority), uint16(record.weight),
+                uint16(record.port), encodeName(record.target)
+            ]);
+        case QTYPE.SOA:
+            return Buffer.concat([
+                encodeName(record.primary), encodeName(record.admin),
+                uint32(record.serial), uint32(record.refresh),
+                uint32(record.retry), uint32(record.expiration),
+                uint32(record.minimum)
+            ]);
+        case QTYPE.NAPTR:
+            return Buffer.concat([
+                uint16(record.order), uint16(record.preference),
+                encodeString(record.flags), encodeString(record.service),
+                encodeString(record.regexp), encodeName(record.replacement)
+            ]);
+        case QTYPE.TLSA:
+            return Buffer.concat([
+                uint8(record.usage), uint8(record.selector),
+                uint8(record.matchingtype), record.buff
+            ]);
+        default:
+            return record.data || new Buffer(0);
+    }
+};
+exports.encodeData = encodeData;
+
+// Compare names in canonical order: label by label from the right, with
+// labels compared as lowercase octet strings.
+const compareNames = (a, b) => {
+    const left = splitName(normalizeName(a)).reverse();
+    const right = splitName(normalizeName(b)).reverse();
+    const length = Math.min(left.length, right.length);
+    for (let i = 0; i < length; i++) {
+        const res = Buffer.compare(
+            new Buffer(left[i], 'ascii'), new Buffer(right[i], 'ascii'));
+        if (res !== 0)
+            return res;
+    }
+    return left.length - right.length;
+};
+exports.compareNames = compareNames;
+
+// Encode a type bitmap, as used by NSEC and NSEC3.
+const encodeTypes = (types) => {
+    const windows = new Map();
+    types.forEach((type) => {
+        const window = type >> 8;
+        if (!windows.has(window))
+            windows.set(window, new Buffer(32).fill(0));
+        windows.get(window)[(type & 0xFF) >> 3] |= 0x80 >> (type & 7);
+    });
+
+    const parts = [];
+    Array.from(windows.keys()).sort((a, b) => a - b).forEach((window) => {
+        const bits = windows.get(window);
+        let length = 32;
+        while (length > 0 && bits[length - 1] === 0)
+            length -= 1;
+        parts.push(uint8(window), uint8(length), bits.slice(0, length));
+    });
+    return Buffer.concat(parts);
+};
+
+// Calculate the key tag of DNSKEY rdata, as described in RFC 4034
+// appendix B.
+const keyTag = (data) => {
+    let acc = 0;
+    for (let i = 0; i < data.length; i++)
+        acc += i & 1 ? data[i] : data[i] << 8;
+    acc += (acc >> 16) & 0xFFFF;
+    return acc & 0xFFFF;
+};
+
+// Encode bytes in the base32 extended hex alphabet, without padding, as used
+// in NSEC3 owner names.
+const base32hex = (buf) => {
+    const alphabet = '0123456789abcdefghijklmnopqrstuv';
+    let res = '';
+    let bits = 0;
+    let value = 0;
+    for (let i = 0; i < buf.length; i++) {
+        value = (value << 8) | buf[i];
+        bits += 8;
+        while (bits >= 5) {
+            res += alphabet[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0)
+        res += alphabet[(value << (5 - bits)) & 31];
+    return res;
+};
+
+// Calculate the NSEC3 hash of a name, with SHA-1.
+const nsec3Hash = (name, salt, iterations) => {
+    let hash = encodeName(name);
+    for (let i = 0; i <= iterations; i++) {
+        hash = crypto.createHash('sha1')
+            .update(Buffer.concat([hash, salt]))
+            .digest();
+    }
+    return hash;
+};
+exports.nsec3Hash = nsec3Hash;
+
+// Object identifiers of the supported key types, in DER encoding.
+const OID_EC_PUBLIC_KEY = new Buffer('06072a8648ce3d0201', 'hex');
+const OID_P256 = new Buffer('06082a8648ce3d030107', 'hex');
+const OID_ED25519 = new Buffer('06032b6570', 'hex');
+
+// Read a DER value at an offset. Returns the `tag`, and the `offset`,
+// content `start` and `end` of the value.
+const readDer = (buf, offset) => {
+    if (offset + 2 > buf.length)
+        throw new Error('Invalid DER data');
+    const tag = buf[offset];
+    let length = buf[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+        const size = length & 0x7F;
+        length = 0;
+        for (let i = 0; i < size; i++)
+            length = length * 256 + buf[start + i];
+        start += size;
+    }
+    if (start + length > buf.length)
+        throw new Error('Invalid DER data');
+    return { tag, offset, start, end: start + length };
+};
+
+// Read the values inside a constructed DER value.
+const readDerChildren = (buf, parent) => {
+    const children = [];
+    let offset = parent.start;
+    while (offset < parent.end) {
+        const child = readDer(buf, offset);
+        children.push(child);
+        offset = child.end;
+    }
+    return children;
+};
+
+// Encode DER data as PEM.
+const toPem = (label, der) => {
+    return '-----BEGIN ' + label + '-----\n' +
+        der.toString('base64').replace(/.{1,64}/g, '$&\n') +
+        '-----END ' + label + '-----\n';
+};
+
+// Read the algorithm and private key bytes from a PEM private key. Supports
+// SEC1 `EC PRIVATE KEY` and PKCS #8 `PRIVATE KEY` structures, which is what
+// OpenSSL writes for P-256 and Ed25519 keys.
+const parsePem = (text) => {
+    const match = /-----BEGIN ([A-Z ]+)-----([^-]*)-----END /.exec(text);
+    if (!match)
+        throw new Error('Invalid PEM data');
+    const der = new Buffer(match[2].replace(/\s/g, ''), 'base64');
+
+    // The SEC1 structure. The curve is either inside, or given by PKCS #8.
+    const ecPrivateKey = (buf, curve) => {
+        const fields = readDerChildren(buf, readDer(buf, 0));
+        const params = fields.find((field) => field.tag === 0xA0);
+        if (params) {
+            const oid = readDer(buf, params.start);
+            curve = buf.slice(oid.offset, oid.end);
+        }
+        if (!fields[1] || fields[1].tag !== 0x04 || !curve ||
+                !curve.equals(OID_P256))
+            throw new Error('Unsupported DNSSEC key type');
+        return {
+            algorithm: exports.ECDSAP256SHA256,
+            secret: buf.slice(fields[1].start, fields[1].end)
+        };
+    };
+
+    if (match[1] === 'EC PRIVATE KEY')
+        return ecPrivateKey(der);
+
+    const root = readDerChildren(der, readDer(der, 0));
+    if (match[1] !== 'PRIVATE KEY' || root.length < 3)
+        throw new Error('Unsupported DNSSEC key type');
+    const algorithm = readDerChildren(der, root[1]);
+    const raw = (node) => node ? der.slice(node.offset, node.end) : null;
+    const oid = raw(algorithm[0]) || new Buffer(0);
+    const inner = der.slice(root[2].start, root[2].end);
+    if (oid.equals(OID_EC_PUBLIC_KEY))
+        return ecPrivateKey(inner, raw(algorithm[1]));
+    if (oid.equals(OID_ED25519)) {
+        const seed = readDer(inner, 0);
+        return {
+            algorithm: exports.ED25519,
+            secret: inner.slice(seed.start, seed.end)
+        };
+    }
+    throw new Error('Unsupported DNSSEC key type');
+};
+
+// Build a PEM private key from the algorithm and private key bytes, and
+// derive the public key in DNSKEY format. P-256 keys are handled with ECDH,
+// which all Node.js versions have. Ed25519 needs `crypto.sign`, which was
+// added in Node.js 12.
+const buildKey = (algorithm, secret) => {
+    if (algorithm === exports.ECDSAP256SHA256) {
+        if (secret.length > 32)
+            throw new Error('Invalid P-256 private key');
+        const padded = Buffer.concat([new Buffer(32 - secret.length).fill(0),
+            secret]);
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.setPrivateKey(padded);
+        const pub = ecdh.getPublicKey();
+        return {
+            privateKey: toPem('EC PRIVATE KEY', Buffer.concat([
+                new Buffer('30770201010420', 'hex'),
+                padded,
+                new Buffer('a00a06082a8648ce3d030107a144034200', 'hex'),
+                pub
+            ])),
+            publicKey: pub.slice(1)
+        };
+    }
+    if (algorithm === exports.ED25519) {
+        if (typeof(crypto.sign) !== 'function')
+            throw new Error('Ed25519 keys require Node.js 12 or newer');
+        if (secret.length !== 32)
+            throw new Error('Invalid Ed25519 private key');
+        const privateKey = toPem('PRIVATE KEY', Buffer.concat([
+            new Buffer('302e020100300506032b657004220420', 'hex'), secret
+        ]));
+        const spki = crypto.createPublicKey(privateKey).export({
+            type: 'spki',
+            format: 'der'
+        });
+        return { privateKey, publicKey: spki.slice(-32) };
+    }
+    throw new Error('Unsupported DNSSEC algorithm: ' + algorithm);
+};
+
+// Convert a DER encoded ECDSA signature to the fixed size format of RFC 6605:
+// the two 32 byte integers, concatenated.
+const fixedSignature = (der) => {
+    const ints = readDerChildren(der, readDer(der, 0)).map((node) => {
+        let value = der.slice(node.start, node.end);
+        while (value.length > 32 && value[0] === 0)
+            value = value.slice(1);
+        return Buffer.concat([new Buffer(32 - value.length).fill(0), value]);
+    });
+    return Buffer.concat(ints);
+};
+
+// A private key, with the public DNSKEY data derived from it. The private key
+// is a PEM string or Buffer, or a `KeyObject` on Node.js versions that have
+// them.
+//
+// Options are:
+//
+//  - `ksk`: Set to true for a key-signing key. (default: false)
+//
+//  - `flags`: DNSKEY flags, instead of `ksk`. (default: 256 or 257)
+//
+class SigningKey {
+    constructor(privateKey, options) {
+        options = options || {};
+
+        if (privateKey && typeof(privateKey.export) === 'function')
+            privateKey = privateKey.export({ type: 'pkcs8', format: 'pem' });
+        const parsed = parsePem(String(privateKey));
+        const key = buildKey(parsed.algorithm, parsed.secret);
+
+        this.algorithm = parsed.algorithm;
+        this.privateKey = key.privateKey;
+        this.publicKey = key.publicKey;
+        this.flags = options.flags ||
+            (options.ksk ? FLAG_ZONE | FLAG_SEP : FLAG_ZONE);
+        this.ksk = Boolean(this.flags & FLAG_SEP);
+
+        this.data = Buffer.concat([
+            uint16(this.flags), uint8(3), uint8(this.algorithm), this.publicKey
+        ]);
+        this.tag = keyTag(this.data);
+    }
+
+    // Build the DNSKEY record.
+    dnskey(name, ttl) {
+        return {
+            class: QCLASS.IN,
+            type: QTYPE.DNSKEY,
+            name: name,
+            ttl: ttl,
+            data: this.data
+        };
+    }
+
+    // Sign data. ECDSA signatures are in the fixed size format of RFC 6605.
+    sign(data) {
+        if (this.algorithm === exports.ED25519)
+            return crypto.sign(null, data, this.privateKey);
+        const signer = crypto.createSign('sha256');
+        signer.update(data);
+        return fixedSignature(signer.sign(this.privateKey));
+    }
+}
+exports.SigningKey = SigningKey;
+
+// Load a key from a PEM string, or the contents of a BIND `.private` key
+// file. Takes the options of `SigningKey`.
+exports.loadKey = (text, options) => {
+    text = String(text);
+    if (text.indexOf('-----BEGIN') !== -1)
+        return new SigningKey(text, options);
+
+    const fields = {};
+    text.split(/\r?\n/).forEach((line) => {
+        const match = /^([\w-]+):\s*(.*)$/.exec(line);
+        if (match)
+            fields[match[1]] = match[2].trim();
+    });
+    if (!fields.Algorithm || !fields.PrivateKey)
+        throw new Error('Invalid DNSSEC key file');
+
+    const algorithm = parseInt(fields.Algorithm, 10);
+    const secret = new Buffer(fields.PrivateKey, 'base64');
+    return new SigningKey(buildKey(algorithm, secret).privateKey, options);
+};
+
+// Load a key from a PEM file or a BIND `.private` key file. For BIND key
+// files, the flags are read from the matching `.key` file, if present. The
+// callback signature is `(error, key)`.
+exports.loadKeyFile = (file, options, cb) => {
+    if (typeof(options) === 'function') {
+        cb = options;
+        options = {};
+    }
+    options = options || {};
+
+    const done = (text, options) => {
+        let key;
+        try { key = exports.loadKey(text, options); }
+        catch (err) {
+            err.message = file + ': ' + err.message;
+            return cb(err);
+        }
+        cb(null, key);
+    };
+
+    fs.readFile(file, 'utf8', (err, text) => {
+        if (err)
+            return cb(err);
+
+        const publicFile = file.replace(/\.private$/, '.key');
+        if (publicFile === file || options.flags || options.ksk)
+            return done(text, options);
+
+        fs.readFile(publicFile, 'utf8', (err, publicText) => {
+            if (err)
+                return done(text, options);
+
+            // Find the flags in the DNSKEY record, skipping comments.
+            const match = /\sDNSKEY\s+(\d+)\s/.exec(
+                publicText.replace(/;.*$/gm, ''));
+            done(text, match ? Object.assign({}, options, {
+                flags: parseInt(match[1], 10)
+            }) : options);
+        });
+    });
+};
+
+// Signs zones.
+//
+// Options are:
+//
+//  - `keys`: Array of `SigningKey` instances. Key-signing keys sign the
+//    DNSKEY RRset, and zone-signing keys sign all other RRsets. Without
+//    zone-signing keys, key-signing keys sign everything, and vice versa.
+//
+//  - `dnskeyTtl`: TTL of DNSKEY records. (default: the SOA TTL)
+//
+//  - `nsec3`: Build an NSEC3 chain instead of an NSEC chain. Either true,
+//    or an object with `iterations` and `salt` (hex string) properties.
+//    (default: false, iterations 0, no salt)
+//
+//  - `validity`: Seconds signatures are valid for. (default: 14 days)
+//
+//  - `inceptionOffset`: Seconds signatures are valid before they are made,
+//    to allow for clock skew. (default: 3600)
+//
+//  - `refresh`: Seconds of validity left at which cached signatures are
+//    replaced. (default: a quarter of `validity`)
+//
+class Signer {
+    constructor(options) {
+        options = options || {};
+
+        this.keys = options.keys || [];
+        if (!this.keys.length)
+            throw new Error('No DNSSEC keys specified');
+        this.dnskeyTtl = options.dnskeyTtl;
+        this.validity = options.validity || DEFAULT_VALIDITY;
+        this.inceptionOffset = options.inceptionOffset === undefined ?
+            DEFAULT_INCEPTION_OFFSET : options.inceptionOffset;
+        this.refresh = options.refresh || Math.floor(this.validity / 4);
+
+        this.nsec3 = null;
+        if (options.nsec3) {
+            const nsec3 = options.nsec3 === true ? {} : options.nsec3;
+            this.nsec3 = {
+                iterations: nsec3.iterations || 0,
+                salt: new Buffer(nsec3.salt || '', 'hex')
+            };
+        }
+
+        // Signatures made in the last run, by zone name and signed data.
+        this.caches = new Map();
+    }
+
+    // Keys to sign an RRset of a type with.
+    keysFor(type) {
+        const ksk = type === QTYPE.DNSKEY;
+        const keys = this.keys.filter((key) => key.ksk === ksk);
+        return keys.length ? keys : this.keys;
+    }
+
+    // Sign the records of a zone. Takes the SOA-record, and the other records
+    // of the zone. Existing RRSIG, NSEC, NSEC3 and NSEC3PARAM records are
+    // replaced. Returns the records to send between the SOA-records of a
+    // transfer, in canonical order.
+    //
+    // Signatures are valid from `time`, in seconds. (default: now)
+    sign(zoneName, soa, records, time) {
+        const apex = normalizeName(zoneName);
+        time = time === undefined ? now() : time;
+
+        const cache = this.caches.get(apex) || new Map();
+        const used = new Map();
+
+        // Group records in RRsets by name.
+        const names = new Map();
+        const addRecord = (record) => {
+            const name = normalizeName(record.name);
+            if (!names.has(name))
+                names.set(name, new Map());
+            const rrsets = names.get(name);
+            if (!rrsets.has(record.type))
+                rrsets.set(record.type, []);
+            rrsets.get(record.type).push(record);
+        };
+        addRecord(soa);
+        records.forEach((record) => {
+            if (DNSSEC_TYPES.indexOf(record.type) === -1)
+                addRecord(record);
+        });
+
+        // Add DNSKEY records for our keys, unless already present.
+        const dnskeyTtl = this.dnskeyTtl || soa.ttl;
+        const dnskeys = (names.get(apex) || new Map()).get(QTYPE.DNSKEY) || [];
+        this.keys.forEach((key) => {
+            if (!dnskeys.some((record) => key.data.equals(encodeData(record))))
+                addRecord(key.dnskey(soa.name, dnskeyTtl));
+        });
+
+        // Add the NSEC3PARAM record.
+        if (this.nsec3) {
+            addRecord({
+                class: QCLASS.IN,
+                type: QTYPE.NSEC3PARAM,
+                name: soa.name,
+                ttl: 0,
+                data: Buffer.concat([
+                    uint8(1), uint8(0), uint16(this.nsec3.iterations),
+                    encodeString(this.nsec3.salt)
+                ])
+            });
+        }
+
+        // Find delegations. Names below them are not authoritative.
+        const delegations = [];
+        names.forEach((rrsets, name) => {
+            if (name !== apex && rrsets.has(QTYPE.NS))
+                delegations.push(name);
+        });
+        const isOccluded = (name) => delegations.some((cut) => {
+            return name.slice(-cut.length - 1) === '.' + cut;
+        });
+
+        const sorted = Array.from(names.keys()).sort(compareNames);
+        const authoritative = sorted.filter((name) => !isOccluded(name));
+
+        // The NSEC and NSEC3 TTL is the SOA minimum, as described in
+        // RFC 9077.
+        const nsecTtl = Math.min(soa.ttl, soa.minimum);
+
+        // Sign an RRset, and return the RRSIG records.
+        const signRRset = (name, type, list) => {
+            const owner = encodeName(name);
+            const ttl = list[0].ttl;
+            const labels = splitName(name).filter((label, i) => {
+                return i !== 0 || label !== '*';
+            }).length;
+
+            // Records in canonical order, without duplicates.
+            const rdatas = [];
+            list.forEach((record) => {
+                const data = encodeData(record);
+                if (!rdatas.some((other) => other.equals(data)))
+                    rdatas.push(data);
+            });
+            rdatas.sort(Buffer.compare);
+            const rrset = Buffer.concat(rdatas.map((data) => {
+                return Buffer.concat([
+                    owner, uint16(type), uint16(QCLASS.IN), uint32(ttl),
+                    uint16(data.length), data
+                ]);
+            }));
+
+            return this.keysFor(type).map((key) => {
+                // Reuse a cached signature, if valid long enough.
+                const cacheKey = key.tag + ' ' + key.algorithm + ' ' +
+                    crypto.createHash('sha256').update(rrset).digest('hex');
+                const cached = cache.get(cacheKey);
+                if (cached && cached.expiration - time > this.refresh) {
+                    used.set(cacheKey, cached);
+                    return cached.record;
+                }
+
+                const expiration = time + this.validity;
+                const head = Buffer.concat([
+                    uint16(type), uint8(key.algorithm), uint8(labels),
+                    uint32(ttl), uint32(expiration),
+                    uint32(time - this.inceptionOffset), uint16(key.tag),
+                    encodeName(apex)
+                ]);
+                const signature = key.sign(Buffer.concat([head, rrset]));
+                const record = {
+                    class: QCLASS.IN,
+                    type: QTYPE.RRSIG,
+                    name: list[0].name,
+                    ttl: ttl,
+                    data: Buffer.concat([head, signature])
+                };
+                used.set(cacheKey, { expiration, record });
+                return record;
+            });
+        };
+
+        // Emit the RRsets of a name, and sign those that need it. At
+        // delegations, only DS and NSEC RRsets are signed. The SOA-record is
+        // sent separately, but signed.
+        const res = [];
+        const emitName = (name, rrsets) => {
+            const isDelegation = delegations.indexOf(name) !== -1;
+            const occluded = isOccluded(name);
+            Array.from(rrsets.keys()).sort((a, b) => a - b).forEach((type) => {
+                const list = rrsets.get(type);
+                const ttl = list.reduce((ttl, record) => {
+                    return Math.min(ttl, record.ttl);
+                }, Infinity);
+                const normalized = list.map((record) => {
+                    return Object.assign({}, record, { ttl });
+                });
+
+                if (type !== QTYPE.SOA)
+                    normalized.forEach((record) => res.push(record));
+                const signed = !occluded && (!isDelegation ||
+                    type === QTYPE.DS || type === QTYPE.NSEC ||
+                    type === QTYPE.NSEC3);
+                if (signed)
+                    signRRset(name, type, normalized).forEach((record) => {
+                        res.push(record);
+                    });
+            });
+        };
+
+        // Types present at a name, for the bitmap.
+        const typesAt = (name, extra) => {
+            const rrsets = names.get(name);
+            const types = rrsets ? Array.from(rrsets.keys()) : [];
+            return types.concat(extra).sort((a, b) => a - b);
+        };
+
+        if (!this.nsec3) {
+            // Build the NSEC chain.
+            authoritative.forEach((name, i) => {
+                const next = authoritative[(i + 1) % authoritative.length];
+                names.get(name).set(QTYPE.NSEC, [{
+                    class: QCLASS.IN,
+                    type: QTYPE.NSEC,
+                    name: name,
+                    ttl: nsecTtl,
+                    data: Buffer.concat([
+                        encodeName(next),
+                        encodeTypes(typesAt(name, [QTYPE.NSEC, QTYPE.RRSIG]))
+                    ])
+                }]);
+            });
+            sorted.forEach((name) => emitName(name, names.get(name)));
+        }
+        else {
+            // Find empty non-terminals, which also get NSEC3 records.
+            const existing = new Set(authoritative);
+            authoritative.forEach((name) => {
+                let labels = splitName(name);
+                while (labels.length > splitName(apex).length + 1) {
+                    labels = labels.slice(1);
+                    const parent = labels.join('.');
+                    if (!existing.has(parent))
+                        existing.add(parent);
+                }
+            });
+
+            // Hash names, and build the NSEC3 chain in hash order.
+            const salt = this.nsec3.salt;
+            const hashed = Array.from(existing).map((name) => ({
+                name: name,
+                hash: nsec3Hash(name, salt, this.nsec3.iterations)
+            })).sort((a, b) => Buffer.compare(a.hash, b.hash));
+
+            sorted.forEach((name) => emitName(name, names.get(name)));
+            hashed.forEach((entry, i) => {
+                const next = hashed[(i + 1) % hashed.length];
+                const rrsets = names.get(entry.name);
+                const isDelegation = delegations.indexOf(entry.name) !== -1;
+                let extra = [];
+                if (rrsets && (!isDelegation || rrsets.has(QTYPE.DS)))
+                    extra = [QTYPE.RRSIG];
+
+                const owner = base32hex(entry.hash) + (apex ? '.' + apex : '');
+                const record = {
+                    class: QCLASS.IN,
+                    type: QTYPE.NSEC3,
+                    name: owner,
+                    ttl: nsecTtl,
+                    data: Buffer.concat([
+                        uint8(1), uint8(0), uint16(this.nsec3.iterations),
+                        encodeString(salt), encodeString(next.hash),
+                        encodeTypes(typesAt(entry.name, extra))
+                    ])
+                };
+                emitName(owner, new Map([[QTYPE.NSEC3, [record]]]));
+            });
+        }
+
+        this.caches.set(apex, used);
+        return res;
+    }
+}
+exports.Signer = Signer;
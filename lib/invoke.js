@@ -0,0 +1,154 @@
+'use strict';
+
+// Helpers to call the `soaFn`, `bodyFn` and `updateFn` user callbacks in any
+// of the supported styles: calling the callback, or returning a Promise.
+// Bodies may also return a Readable object stream or async iterable of
+// records, such as an async generator.
+//
+// Errors thrown by the user callbacks, and rejected promises, are passed to
+// the callback like any other error. The callback is called at most once, and
+// never from within a promise handler, so exceptions it throws are not
+// swallowed.
+
+// Symbol used by async iterables, if supported.
+const asyncIterator = Symbol.asyncIterator;
+
+// Check if a value looks like a Promise.
+const isThenable = (value) => {
+    return Boolean(value) && typeof(value.then) === 'function';
+};
+
+// Wrap a callback so only the first call has effect. The `called` property
+// tells if it was called.
+const once = (cb) => {
+    const wrapped = function() {
+        if (wrapped.called)
+            return;
+        wrapped.called = true;
+        cb.apply(this, arguments);
+    };
+    wrapped.called = false;
+    return wrapped;
+};
+
+// Call a user function, and handle thrown errors and a returned Promise.
+// Returns the result, or undefined if the call threw. Errors thrown after the
+// callback was called come from the callback itself, and are rethrown.
+const call = (fn, cb) => {
+    let res;
+    try { res = fn(); }
+    catch (err) {
+        if (cb.called)
+            throw err;
+        return cb(err);
+    }
+
+    if (isThenable(res)) {
+        res.then((value) => {
+            process.nextTick(() => cb(null, value));
+        }, (err) => {
+            process.nextTick(() => cb(err || new Error('Promise rejected')));
+        });
+        return undefined;
+    }
+    return res;
+};
+
+// Call `soaFn` of the zone params. The callback signature is
+// `(error, soaRecord)`.
+exports.callSoaFn = (zoneParams, context, req, cb) => {
+    cb = once(cb);
+    call(() => zoneParams.soaFn(context, req, cb), cb);
+};
+
+// Call `bodyFn` of the zone params. Records from a returned stream or async
+// iterable are passed to `emitFn`, which must have the `drain` method and
+// `aborted` property described for `bodyFn`. The callback signature is
+// `(error)`.
+exports.callBodyFn = (zoneParams, context, req, soa, emitFn, cb) => {
+    cb = once(cb);
+    const body = call(
+        () => zoneParams.bodyFn(context, req, soa, emitFn, cb), cb);
+    if (!body)
+        return;
+
+    if (typeof(body.pipe) === 'function')
+        consumeStream(body, emitFn, cb);
+    else if (asyncIterator && body[asyncIterator])
+        consumeIterator(body[asyncIterator](), emitFn, cb);
+};
+
+// Call `updateFn` of the zone params. The callback signature is
+// `(error, rcode)`.
+exports.callUpdateFn = (zoneParams, context, req, operations, cb) => {
+    cb = once(cb);
+    call(() => zoneParams.updateFn(context, req, operations, cb), cb);
+};
+
+// Emit records from a Readable object stream.
+const consumeStream = (body, emitFn, cb) => {
+    body.on('data', (record) => {
+        if (emitFn.aborted) {
+            if (typeof(body.destroy) === 'function')
+                body.destroy();
+            return;
+        }
+        if (!emitFn(record)) {
+            body.pause();
+            emitFn.drain(() => body.resume());
+        }
+    });
+    body.on('end', () => cb(null));
+    body.on('error', (err) => cb(err));
+};
+
+// Emit records from an async iterator.
+const consumeIterator = (iterator, emitFn, cb) => {
+    const next = () => {
+        let res;
+        try { res = iterator.next(); }
+        catch (err) { return cb(err); }
+
+        Promise.resolve(res).then((res) => {
+            process.nextTick(() => step(res));
+        }, (err) => {
+            process.nextTick(() => cb(err || new Error('Iterator failed')));
+        });
+    };
+
+    const step = (res) => {
+        if (emitFn.aborted) {
+            // Errors while closing the iterator are of no interest.
+            if (typeof(iterator.return) === 'function') {
+                const res = iterator.return();
+                if (isThenable(res))
+                    res.then(null, () => {});
+            }
+            return;
+        }
+        if (res.done)
+            return cb(null);
+        if (emitFn(res.value))
+            next();
+        else
+            emitFn.drain(next);
+    };
+
+    next();
+};
+
+// Create an emit function that passes records to `fn`, and never waits, for
+// use outside of a connection.
+exports.createEmitFn = (fn) => {
+    const emitFn = (record) => {
+        fn(record);
+        return true;
+    };
+    emitFn.drain = (cb) => {
+        if (!cb)
+            return Promise.resolve();
+        process.nextTick(cb);
+    };
+    emitFn.aborted = false;
+    return emitFn;
+};
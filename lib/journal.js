@@ -0,0 +1,130 @@
+'use strict';
+
+// A journal of zone changes, used to answer IXFR requests as described in
+// RFC 1995.
+//
+// Every entry describes the change from one serial to the next, as a list of
+// removed records and a list of added records. Records are plain objects, the
+// same as passed to `emitFn`.
+
+const normalizeName = require('./records').normalizeName;
+
+// Build a key that identifies a record, for comparison.
+const recordKey = (record) => {
+    const obj = {};
+    Object.keys(record).sort().forEach((key) => {
+        obj[key] = key === 'name' ? normalizeName(record.name) : record[key];
+    });
+    return JSON.stringify(obj);
+};
+exports.recordKey = recordKey;
+
+class Journal {
+    // Options are:
+    //
+    //  - `limit`: Maximum number of entries to keep. Older entries are
+    //    discarded, and requests for their serials fall back to a full
+    //    transfer. (default: 100)
+    //
+    constructor(options) {
+        options = options || {};
+        this.limit = options.limit || 100;
+        this.entries = [];
+    }
+
+    // Record a change from one serial to the next. `removed` and `added` are
+    // arrays of records.
+    //
+    // If `fromSerial` doesn't follow the last recorded serial, the journal is
+    // cleared first, because there is no way to get from old serials to the
+    // new one.
+    record(fromSerial, toSerial, removed, added) {
+        const last = this.entries[this.entries.length - 1];
+        if (last && last.toSerial !== fromSerial)
+            this.entries = [];
+
+        this.entries.push({
+            fromSerial: fromSerial,
+            toSerial: toSerial,
+            removed: removed.slice(),
+            added: added.slice()
+        });
+
+        if (this.entries.length > this.limit)
+            this.entries.splice(0, this.entries.length - this.limit);
+    }
+
+    // Get the entries needed to get from one serial to another. Returns an
+    // array of entries, or null if the journal doesn't cover the range.
+    getChanges(fromSerial, toSerial) {
+        let idx = -1;
+        for (let i = 0; i < this.entries.length; i++) {
+            if (this.entries[i].fromSerial === fromSerial) {
+                idx = i;
+                break;
+            }
+        }
+        if (idx === -1)
+            return null;
+
+        for (let i = idx; i < this.entries.length; i++) {
+            if (this.entries[i].toSerial === toSerial)
+                return this.entries.slice(idx, i + 1);
+        }
+        return null;
+    }
+
+    // The oldest serial that can be served from the journal, or undefined if
+    // the journal is empty.
+    get oldestSerial() {
+        const first = this.entries[0];
+        return first ? first.fromSerial : undefined;
+    }
+
+    // Merge all entries into a single entry, leaving out records that were
+    // added and later removed, and vice versa. This saves memory and makes
+    // responses smaller, at the cost of intermediate serials falling back to
+    // a full transfer.
+    condense() {
+        if (this.entries.length < 2)
+            return;
+
+        const removed = new Map();
+        const added = new Map();
+        this.entries.forEach((entry) => {
+            entry.removed.forEach((record) => {
+                const key = recordKey(record);
+                if (added.has(key))
+                    added.delete(key);
+                else
+                    removed.set(key, record);
+            });
+            entry.added.forEach((record) => {
+                const key = recordKey(record);
+                if (removed.has(key))
+                    removed.delete(key);
+                else
+                    added.set(key, record);
+            });
+        });
+
+        const collect = (map) => {
+            const res = [];
+            map.forEach((record) => res.push(record));
+            return res;
+        };
+
+        this.entries = [{
+            fromSerial: this.entries[0].fromSerial,
+            toSerial: this.entries[this.entries.length - 1].toSerial,
+            removed: collect(removed),
+            added: collect(added)
+        }];
+    }
+
+    // Discard all entries.
+    clear() {
+        this.entries = [];
+    }
+}
+exports.Journal = Journal;
@@ -0,0 +1,87 @@
+'use strict';
+
+// Calculate the encoded size of records, so responses can be packed up to a
+// packet size without writing them first.
+//
+// Name compression is taken into account the same way the packet writer does
+// it: a name is compressed if the exact remainder of the name string was
+// written before. Compression targets are tracked in an index object, which
+// maps name strings to their offset in the message.
+
+const Packet = require('native-dns-packet');
+
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+
+// Size of the message header.
+exports.HEADER_SIZE = 12;
+
+// Compression pointers can only point to the first 16 KiB of a message.
+const MAX_POINTER = 0x3FFF;
+
+// Largest message that can be packed. The packet writer compresses names
+// written past `MAX_POINTER` regardless, and then fails to encode pointers
+// to them, so larger messages are never built.
+exports.MAX_PACKET_SIZE = MAX_POINTER + 1;
+
+// Measure a name written at the given offset, and update the index.
+const measureName = (str, offset, index) => {
+    let size = 0;
+    while (str) {
+        if (index[str])
+            return size + 2;
+
+        if (offset + size <= MAX_POINTER)
+            index[str] = offset + size;
+
+        const dot = str.indexOf('.');
+        const part = dot === -1 ? str : str.slice(0, dot);
+        str = dot === -1 ? undefined : str.slice(dot + 1);
+        size += 1 + Buffer.byteLength(part, 'ascii');
+    }
+    return size + 1;
+};
+exports.measureName = measureName;
+
+// Measure the rdata of a record, starting at the given offset.
+const measureData = (record, offset, index) => {
+    switch (record.type) {
+        case QTYPE.A:
+            return 4;
+        case QTYPE.AAAA:
+            return 16;
+        case QTYPE.NS:
+        case QTYPE.CNAME:
+        case QTYPE.PTR:
+            return measureName(record.data, offset, index);
+        case QTYPE.SPF:
+        case QTYPE.TXT:
+            return record.data.reduce((size, str) => {
+                return size + 1 + Buffer.byteLength(str, 'utf8');
+            }, 0);
+        case QTYPE.MX:
+            return 2 + measureName(record.exchange, offset + 2, index);
+        case QTYPE.SRV:
+            return 6 + measureName(record.target, offset + 6, index);
+        case QTYPE.SOA: {
+            let size = measureName(record.primary, offset, index);
+            size += measureName(record.admin, offset + size, index);
+            return size + 20;
+        }
+        case QTYPE.NAPTR: {
+            const size = 7 + record.flags.length + record.service.length +
+                record.regexp.length;
+            return size + measureName(record.replacement, offset + size, index);
+        }
+        case QTYPE.TLSA:
+            return 3 + record.buff.length;
+        default:
+            return record.data ? record.data.length : 0;
+    }
+};
+
+// Measure a complete record written at the given offset, and update the
+// index with new compression targets.
+exports.measureRecord = (record, offset, index) => {
+    const nameSize = measureName(record.name, offset, index);
+    return nameSize + 10 + measureData(record, offset + nameSize + 10, index);
+};
@@ -0,0 +1,274 @@
+'use strict';
+
+// Constructors for the common record types, as plain objects like those passed
+// to `emitFn` and `Zone`. They validate their fields, and throw on invalid
+// input, so mistakes surface when building a zone rather than on the wire.
+//
+// Every constructor takes the owner name first, then the type-specific
+// fields, and optionally an options object last:
+//
+//  - `origin`: The zone apex. Relative names, in the owner and in the data,
+//    are made absolute against it. `@` is the origin itself, and names with
+//    a trailing dot are already absolute. (default: the root)
+//  - `ttl`: TTL of the record. (default: `DEFAULT_TTL`)
+//
+// Names are normalized with `normalizeName`.
+
+const net = require('net');
+const Packet = require('native-dns-packet');
+const zonefile = require('./zonefile');
+
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+const QTYPE_NAMES = Packet.consts.QTYPE_TO_NAME;
+
+// TTL used when none is given.
+const DEFAULT_TTL = 3600;
+exports.DEFAULT_TTL = DEFAULT_TTL;
+
+// Normalize a name for comparison, optionally resolving it against an
+// origin. Names are compared case-insensitively for ASCII letters only, as
+// per RFC 4343, and a trailing dot is ignored. The root is the empty string.
+exports.normalizeName = (name, origin) => {
+    name = String(name).replace(/[A-Z]+/g, (str) => str.toLowerCase());
+    if (origin !== undefined && origin !== null) {
+        origin = exports.normalizeName(origin);
+        if (name === '@')
+            return origin;
+        if (name[name.length - 1] !== '.')
+            return origin && name ? name + '.' + origin : name || origin;
+    }
+    return name === '.' ? '' : name.replace(/\.$/, '');
+};
+
+// Check a normalized name is a valid domain name.
+const checkName = (name, what) => {
+    if (name === '')
+        return name;
+    const labels = name.split('.');
+    if (name.length > 253 || labels.some((label) => {
+        return label.length === 0 || label.length > 63;
+    }))
+        throw new Error('Invalid ' + what + ': ' + name);
+    return name;
+};
+
+// Check an integer field is in range.
+const checkInt = (value, max, what) => {
+    if (typeof(value) === 'string' && /^\d+$/.test(value))
+        value = parseInt(value, 10);
+    if (typeof(value) !== 'number' || value % 1 !== 0 ||
+        value < 0 || value > max)
+        throw new Error('Invalid ' + what + ': ' + value);
+    return value;
+};
+
+// Decode binary data given as a Buffer or an encoded string.
+const checkBinary = (value, encoding, what) => {
+    if (Buffer.isBuffer(value))
+        return value;
+    const valid = encoding === 'hex' ?
+        /^([0-9a-f]{2})+$/i : /^[A-Za-z0-9+/]+=*$/;
+    if (typeof(value) !== 'string' || !valid.test(value.replace(/\s/g, '')))
+        throw new Error('Invalid ' + what);
+    return new Buffer(value.replace(/\s/g, ''), encoding);
+};
+
+// Build the common part of a record.
+const base = (type, name, options) => {
+    options = options || {};
+    const ttl = options.ttl === undefined ? DEFAULT_TTL : options.ttl;
+    return {
+        type,
+        class: 1,
+        name: checkName(exports.normalizeName(name, options.origin),
+            'owner name'),
+        ttl: checkInt(ttl, 0x7FFFFFFF, 'TTL')
+    };
+};
+
+// Normalize a name in the data of a record.
+const target = (name, options, what) => {
+    const origin = options ? options.origin : undefined;
+    return checkName(exports.normalizeName(name, origin), what);
+};
+
+exports.a = (name, address, options) => {
+    const record = base(QTYPE.A, name, options);
+    if (!net.isIPv4(address))
+        throw new Error('Invalid IPv4 address: ' + address);
+    record.address = address;
+    return record;
+};
+
+exports.aaaa = (name, address, options) => {
+    const record = base(QTYPE.AAAA, name, options);
+    if (!net.isIPv6(address))
+        throw new Error('Invalid IPv6 address: ' + address);
+    record.address = address.toLowerCase();
+    return record;
+};
+
+exports.ns = (name, host, options) => {
+    const record = base(QTYPE.NS, name, options);
+    record.data = target(host, options, 'name server');
+    return record;
+};
+
+exports.cname = (name, alias, options) => {
+    const record = base(QTYPE.CNAME, name, options);
+    record.data = target(alias, options, 'canonical name');
+    return record;
+};
+
+exports.ptr = (name, host, options) => {
+    const record = base(QTYPE.PTR, name, options);
+    record.data = target(host, options, 'pointer');
+    return record;
+};
+
+exports.mx = (name, priority, exchange, options) => {
+    const record = base(QTYPE.MX, name, options);
+    record.priority = checkInt(priority, 0xFFFF, 'priority');
+    record.exchange = target(exchange, options, 'exchange');
+    return record;
+};
+
+// Takes a string or an array of strings. Strings longer than the 255 bytes
+// allowed in a character string are split, on character boundaries.
+exports.txt = (name, strings, options) => {
+    const record = base(QTYPE.TXT, name, options);
+    record.data = [];
+    [].concat(strings).forEach((str) => {
+        if (typeof(str) !== 'string')
+            throw new Error('Invalid text: ' + str);
+        const buf = new Buffer(str, 'utf8');
+        let start = 0;
+        do {
+            let end = Math.min(start + 255, buf.length);
+            while (end < buf.length && (buf[end] & 0xC0) === 0x80)
+                end--;
+            record.data.push(buf.toString('utf8', start, end));
+            start = end;
+        } while (start < buf.length);
+    });
+    return record;
+};
+
+exports.srv = (name, priority, weight, port, host, options) => {
+    const record = base(QTYPE.SRV, name, options);
+    record.priority = checkInt(priority, 0xFFFF, 'priority');
+    record.weight = checkInt(weight, 0xFFFF, 'weight');
+    record.port = checkInt(port, 0xFFFF, 'port');
+    record.target = target(host, options, 'target');
+    return record;
+};
+
+// The rdata is built as a Buffer, because the packet library does not
+// support CAA-records.
+exports.caa = (name, flags, tag, value, options) => {
+    const record = base(QTYPE.CAA, name, options);
+    flags = checkInt(flags, 0xFF, 'flags');
+    if (typeof(tag) !== 'string' || !/^[A-Za-z0-9]{1,255}$/.test(tag))
+        throw new Error('Invalid tag: ' + tag);
+    if (typeof(value) !== 'string')
+        throw new Error('Invalid value: ' + value);
+    record.data = Buffer.concat([
+        new Buffer([flags, tag.length]),
+        new Buffer(tag, 'ascii'),
+        new Buffer(value, 'utf8')
+    ]);
+    return record;
+};
+
+// Fields are `primary`, `admin`, `serial`, `refresh`, `retry`,
+// `expiration` and `minimum`. The admin may also be given as an email
+// address, which is converted to a name. Dots in the local part cannot be
+// represented, because names are not escaped.
+exports.soa = (name, fields, options) => {
+    const record = base(QTYPE.SOA, name, options);
+    fields = fields || {};
+    let admin = fields.admin;
+    if (typeof(admin) === 'string' && admin.indexOf('@') !== -1) {
+        const match = /^([^@.]+)@([^@]+)$/.exec(admin);
+        if (!match)
+            throw new Error('Invalid admin: ' + admin);
+        admin = match[1] + '.' + match[2].replace(/\.?$/, '.');
+    }
+    record.primary = target(fields.primary, options, 'primary');
+    record.admin = target(admin, options, 'admin');
+    record.serial = checkInt(fields.serial, 0xFFFFFFFF, 'serial');
+    ['refresh', 'retry', 'expiration', 'minimum'].forEach((field) => {
+        record[field] = checkInt(fields[field], 0x7FFFFFFF, field);
+    });
+    return record;
+};
+
+// The digest is a Buffer or hex string. The rdata is built as a Buffer.
+exports.ds = (name, keyTag, algorithm, digestType, digest, options) => {
+    const record = base(QTYPE.DS, name, options);
+    const fixed = new Buffer(4);
+    fixed.writeUInt16BE(checkInt(keyTag, 0xFFFF, 'key tag'), 0);
+    fixed[2] = checkInt(algorithm, 0xFF, 'algorithm');
+    fixed[3] = checkInt(digestType, 0xFF, 'digest type');
+    record.data = Buffer.concat([fixed, checkBinary(digest, 'hex', 'digest')]);
+    return record;
+};
+
+// The public key is a Buffer or base64 string. The protocol is always 3. The
+// rdata is built as a Buffer.
+exports.dnskey = (name, flags, algorithm, publicKey, options) => {
+    const record = base(QTYPE.DNSKEY, name, options);
+    const fixed = new Buffer(4);
+    fixed.writeUInt16BE(checkInt(flags, 0xFFFF, 'flags'), 0);
+    fixed[2] = 3;
+    fixed[3] = checkInt(algorithm, 0xFF, 'algorithm');
+    record.data = Buffer.concat([
+        fixed, checkBinary(publicKey, 'base64', 'public key')
+    ]);
+    return record;
+};
+
+// Format a record in presentation format, as a zone file line. Names are
+// written relative to the origin, if given.
+exports.toText = (record, origin) => {
+    return zonefile.formatRecord(record, origin);
+};
+
+// Parse a record in presentation format. Takes the options of the
+// constructors, and returns a single record with normalized names.
+exports.fromText = (text, options) => {
+    options = options || {};
+    const records = zonefile.parse(String(text), {
+        origin: options.origin,
+        ttl: options.ttl === undefined ? DEFAULT_TTL : options.ttl
+    });
+    if (records.length !== 1)
+        throw new Error('Expected a single record, got ' + records.length);
+    return exports.normalize(records[0]);
+};
+
+// Name fields in the data of each record type.
+const NAME_FIELDS = {
+    [QTYPE.NS]: ['data'],
+    [QTYPE.CNAME]: ['data'],
+    [QTYPE.PTR]: ['data'],
+    [QTYPE.MX]: ['exchange'],
+    [QTYPE.SRV]: ['target'],
+    [QTYPE.SOA]: ['primary', 'admin'],
+    [QTYPE.NAPTR]: ['replacement']
+};
+
+// Normalize the names of an existing record, resolving relative names
+// against the origin, if given. Returns a copy.
+exports.normalize = (record, origin) => {
+    if (!QTYPE_NAMES[record.type])
+        throw new Error('Invalid record type: ' + record.type);
+    const copy = Object.assign({}, record);
+    copy.name = checkName(exports.normalizeName(record.name, origin),
+        'owner name');
+    (NAME_FIELDS[record.type] || []).forEach((field) => {
+        if (copy[field] !== undefined)
+            copy[field] = exports.normalizeName(copy[field], origin);
+    });
+    return copy;
+};
@@ -0,0 +1,442 @@
+'use strict';
+
+// A fake secondary for end-to-end tests of a server setup.
+//
+// The secondary listens for NOTIFY messages on an ephemeral port, over TCP
+// and UDP, and acknowledges them. Notified zones are refreshed like a real
+// secondary would: it queries the SOA-record, and transfers the zone if the
+// serial is newer, with IXFR once it has a copy. The resulting zones and a
+// timeline of events are available for assertions.
+//
+// Every event is appended to `events`, and emitted with the entry as the
+// argument. Entries have a `type`, the `time` as a Date, and the `zone`
+// name. Types are:
+//
+//  - `notify`: A NOTIFY was received. Has the `serial` in the message, if
+//    any, and the `protocol`.
+//  - `soa`: The SOA-record was queried. Has the `serial` of the master.
+//  - `transfer`: A transfer completed. Has the `query` type, the new
+//    `serial`, whether it was `incremental`, and the number of `records`
+//    received.
+//  - `drop`: The connection was dropped on purpose, after `records`.
+//  - `failure`: A refresh failed. Has the `error`.
+
+const net = require('net');
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const Packet = require('native-dns-packet');
+const client = require('./client');
+const tsig = require('./tsig');
+const recordKey = require('./journal').recordKey;
+const serialCompare = require('./zone').serialCompare;
+const normalizeName = require('./records').normalizeName;
+
+const RCODE = Packet.consts.NAME_TO_RCODE;
+const OPCODE = Packet.consts.NAME_TO_OPCODE;
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+
+// The main module provides the message format. It requires this module, so
+// it is only required once used.
+const main = () => require('../index');
+
+// Build the `setSlaves` input for an existing slave entry.
+const slaveSpec = (slave) => ({
+    host: slave.host,
+    port: slave.port,
+    key: slave.key,
+    notify: slave.notify,
+    whitelist: slave.whitelist
+});
+
+// Key identifying a record within a zone, regardless of TTL.
+const identityKey = (record) => {
+    return recordKey(Object.assign({}, record, { ttl: undefined }));
+};
+
+class MockSecondary extends EventEmitter {
+    // Options are:
+    //
+    //  - `zones`: Names of zones to transfer on `register`. Notified zones
+    //    are always tracked. (default: none)
+    //  - `master`: Object with the `host` and `port` of the master. Set by
+    //    `register`, if not given.
+    //  - `address`: Address to listen on. (default: `127.0.0.1`)
+    //  - `key`, `keys`: Name of a TSIG key to sign requests with, and a keys
+    //    object as described for the server params. Signed NOTIFY messages
+    //    are verified against `keys`.
+    //  - `ixfr`: Whether to request IXFR once a zone was transferred.
+    //    (default: true)
+    //  - `timeout`: Milliseconds of inactivity after which a request to the
+    //    master fails. (default: 5000)
+    //
+    // The following options simulate misbehaving secondaries, and may also
+    // be changed as properties at runtime:
+    //
+    //  - `readDelay`: Milliseconds to wait after reading each record of a
+    //    transfer, to simulate a slow reader. The master sees the connection
+    //    congest. (default: 0)
+    //  - `dropAfter`: Drop the connection after reading this many records of
+    //    a transfer, which then fails. (default: never)
+    //  - `dropNotify`: Close connections and ignore messages without
+    //    answering NOTIFY. The event is still recorded. (default: false)
+    //
+    constructor(options) {
+        super();
+        options = options || {};
+        this.zoneNames = (options.zones || []).map((name) => {
+            return normalizeName(name);
+        });
+        this.master = options.master;
+        this.address = options.address || '127.0.0.1';
+        this.key = options.key;
+        this.keys = options.keys;
+        this.ixfr = options.ixfr !== false;
+        this.timeout = options.timeout || 5000;
+        this.readDelay = options.readDelay || 0;
+        this.dropAfter = options.dropAfter;
+        this.dropNotify = Boolean(options.dropNotify);
+
+        this.port = undefined;
+        this.events = [];
+        this.zones = new Map();
+        this.refreshing = new Map();
+        this.tcpServer = null;
+        this.udpSocket = null;
+    }
+
+    // Listen on an ephemeral port, the same for TCP and UDP. The callback
+    // signature is `(error)`.
+    listen(cb) {
+        cb = cb || ((err) => { if (err) this.emit('error', err); });
+
+        this.tcpServer = net.createServer((conn) => {
+            conn.on('error', () => {});
+            main().addWrappers(conn, 65535);
+            conn.readableWrap.on('error', () => conn.destroy());
+            conn.readableWrap.on('data', (req) => {
+                const res = this.handleMessage(req, 'tcp');
+                if (res)
+                    conn.writableWrap.write(res);
+                else
+                    conn.destroy();
+            });
+        });
+        this.tcpServer.once('error', cb);
+        this.tcpServer.listen(0, this.address, () => {
+            this.tcpServer.removeListener('error', cb);
+            this.port = this.tcpServer.address().port;
+
+            const type = net.isIPv6(this.address) ? 'udp6' : 'udp4';
+            this.udpSocket = dgram.createSocket(type);
+            this.udpSocket.on('message', (msg, rinfo) => {
+                let req;
+                try { req = main().parsePacket(msg); }
+                catch (err) { return; }
+                const res = this.handleMessage(req, 'udp');
+                if (!res)
+                    return;
+                const data = main().writePacket(res, 512);
+                this.udpSocket.send(data, 0, data.length, rinfo.port,
+                    rinfo.address);
+            });
+            this.udpSocket.once('error', cb);
+            this.udpSocket.bind(this.port, this.address, () => {
+                this.udpSocket.removeListener('error', cb);
+                cb(null);
+            });
+        });
+    }
+
+    // Listen if not yet listening, and add the secondary to the server-wide
+    // slaves of a server, keeping existing slaves. The master address is
+    // taken from the server, if not set. Then transfers the configured
+    // zones. The callback signature is `(error)`, with the first error of
+    // the transfers, if any failed. All zones are still tried.
+    register(server, cb) {
+        cb = cb || ((err) => { if (err) this.emit('error', err); });
+        if (!this.port) {
+            return this.listen((err) => {
+                if (err)
+                    return cb(err);
+                this.register(server, cb);
+            });
+        }
+
+        if (!this.master) {
+            const address = server.address();
+            this.master = { host: address.address, port: address.port };
+        }
+
+        const slaves = server.slaves.map(slaveSpec);
+        slaves.push({ host: this.address, port: this.port, key: this.key });
+        server.setSlaves(slaves, (err) => {
+            if (err)
+                return cb(err);
+
+            let pending = this.zoneNames.length;
+            let error = null;
+            if (pending === 0)
+                return cb(null);
+            this.zoneNames.forEach((name) => {
+                this.refresh(name, (err) => {
+                    error = error || err;
+                    if (--pending === 0)
+                        cb(error);
+                });
+            });
+        });
+    }
+
+    // Remove the secondary from the server-wide slaves of a server. The
+    // callback signature is `(error)`.
+    unregister(server, cb) {
+        const slaves = server.slaves.filter((slave) => {
+            return !(slave.host === this.address && slave.port === this.port);
+        }).map(slaveSpec);
+        server.setSlaves(slaves, cb);
+    }
+
+    // Stop listening. The callback is called once closed.
+    close(cb) {
+        if (this.udpSocket) {
+            this.udpSocket.close();
+            this.udpSocket = null;
+        }
+        if (!this.tcpServer)
+            return cb && process.nextTick(cb);
+        this.tcpServer.close(cb && (() => cb()));
+        this.tcpServer = null;
+    }
+
+    // Get the copy of a zone, as an object with the `name`, `serial`, `soa`
+    // and `records`, without the SOA-record. Undefined if not transferred.
+    zone(name) {
+        const zone = this.zones.get(normalizeName(name));
+        if (!zone)
+            return undefined;
+        return {
+            name: zone.name,
+            serial: zone.soa.serial,
+            soa: zone.soa,
+            records: Array.from(zone.records.values())
+        };
+    }
+
+    // Call back once the copy of a zone has the given serial or newer.
+    waitForSerial(name, serial, cb) {
+        name = normalizeName(name);
+        const check = () => {
+            const zone = this.zones.get(name);
+            return zone && serialCompare(zone.soa.serial, serial) >= 0;
+        };
+        if (check())
+            return process.nextTick(cb);
+
+        const listener = () => {
+            if (check()) {
+                this.removeListener('transfer', listener);
+                cb();
+            }
+        };
+        this.on('transfer', listener);
+    }
+
+    // Refresh a zone from the master: query the SOA-record, and transfer the
+    // zone if it has a newer serial. A refresh requested while one is in
+    // progress runs once the current one is done.
+    //
+    // The callback signature is `(error, entry)`, where `entry` is the
+    // `transfer` event, or undefined if already up-to-date.
+    refresh(name, cb) {
+        name = normalizeName(name);
+        cb = cb || (() => {});
+
+        const state = this.refreshing.get(name);
+        if (state) {
+            state.queued.push(cb);
+            return;
+        }
+        this.refreshing.set(name, { queued: [] });
+
+        const done = (err, entry) => {
+            const queued = this.refreshing.get(name).queued;
+            this.refreshing.delete(name);
+            if (err)
+                this.record({ type: 'failure', zone: name, error: err });
+            cb(err, entry);
+            if (queued.length) {
+                this.refresh(name, (err, entry) => {
+                    queued.forEach((cb) => cb(err, entry));
+                });
+            }
+        };
+
+        let options;
+        try { options = this.requestOptions(name); }
+        catch (err) { return process.nextTick(() => done(err)); }
+
+        client.querySoa(options, (err, soa) => {
+            if (err)
+                return done(err);
+            this.record({ type: 'soa', zone: name, serial: soa.serial });
+
+            const zone = this.zones.get(name);
+            if (zone && serialCompare(soa.serial, zone.soa.serial) <= 0)
+                return done(null);
+            this.transfer(name, zone, done);
+        });
+    }
+
+    // Transfer a zone, with IXFR if there is a copy. Reads records one by
+    // one, to apply `readDelay` and `dropAfter`.
+    transfer(name, zone, cb) {
+        const type = zone && this.ixfr ? QTYPE.IXFR : QTYPE.AXFR;
+        const options = this.requestOptions(name);
+        options.type = type;
+        options.serial = zone ? zone.soa.serial : undefined;
+
+        options.connection = net.connect(this.master.port, this.master.host);
+        const conn = options.connection;
+        main().addWrappers(conn, 65535);
+
+        let finished = false;
+        const finish = (err, entry) => {
+            if (finished)
+                return;
+            finished = true;
+            conn.destroy();
+            cb(err, entry);
+        };
+
+        const records = [];
+        const res = client.createStream(options);
+        res.on('error', finish);
+        res.on('data', (record) => {
+            if (finished)
+                return;
+            records.push(record);
+            if (this.dropAfter !== undefined &&
+                    records.length >= this.dropAfter) {
+                this.record({
+                    type: 'drop',
+                    zone: name,
+                    records: records.length
+                });
+                return finish(new Error('Connection dropped'));
+            }
+            if (this.readDelay) {
+                res.pause();
+                setTimeout(() => res.resume(), this.readDelay);
+            }
+        });
+        res.on('end', () => {
+            if (finished)
+                return;
+            const copy = res.incremental && zone ? zone : {
+                name,
+                soa: null,
+                records: new Map()
+            };
+            if (res.incremental) {
+                res.changes.forEach((change) => {
+                    change.removed.forEach((record) => {
+                        copy.records.delete(identityKey(record));
+                    });
+                    change.added.forEach((record) => {
+                        copy.records.set(identityKey(record), record);
+                    });
+                });
+            }
+            else {
+                records.slice(1).forEach((record) => {
+                    copy.records.set(identityKey(record), record);
+                });
+            }
+            copy.soa = res.soa;
+            this.zones.set(name, copy);
+
+            finish(null, this.record({
+                type: 'transfer',
+                zone: name,
+                query: type === QTYPE.IXFR ? 'IXFR' : 'AXFR',
+                serial: res.soa.serial,
+                incremental: Boolean(res.incremental),
+                records: records.length
+            }));
+        });
+    }
+
+    // Build the client options for a request to the master.
+    requestOptions(name) {
+        if (!this.master)
+            throw new Error('No master set');
+        return {
+            host: this.master.host,
+            port: this.master.port,
+            name,
+            key: this.key,
+            keys: this.keys,
+            timeout: this.timeout
+        };
+    }
+
+    // Handle a message received on the NOTIFY listeners. Returns the response
+    // packet, or undefined to send nothing.
+    handleMessage(req, protocol) {
+        if (req.header.qr)
+            return undefined;
+
+        const res = new Packet();
+        res.header.id = req.header.id;
+        res.header.opcode = req.header.opcode;
+        res.header.qr = 1;
+        res.header.aa = 1;
+        res.question = req.question;
+
+        const q = req.question[0];
+        if (req.header.opcode !== OPCODE.NOTIFY || !q ||
+                q.type !== QTYPE.SOA) {
+            res.header.rcode = RCODE.NOTIMP;
+            return res;
+        }
+
+        // Verify the signature, and sign the response with the same key.
+        let session;
+        try { session = tsig.verifyRequest(req.wire, this.keys || {}); }
+        catch (err) {
+            res.header.rcode = RCODE.FORMERR;
+            return res;
+        }
+        if (session) {
+            res.tsig = session;
+            if (session.error) {
+                res.header.rcode = RCODE.NOTAUTH;
+                return res;
+            }
+        }
+
+        const name = normalizeName(q.name);
+        const soa = (req.answer || []).find((rr) => rr.type === QTYPE.SOA);
+        this.record({
+            type: 'notify',
+            zone: name,
+            serial: soa ? soa.serial : null,
+            protocol
+        });
+        if (this.dropNotify)
+            return undefined;
+
+        // Refresh after responding, like a real secondary.
+        setImmediate(() => this.refresh(name));
+        return res;
+    }
+
+    // Add an entry to the timeline, and emit it. Returns the entry.
+    record(entry) {
+        entry = Object.assign({ type: entry.type, time: new Date() }, entry);
+        this.events.push(entry);
+        this.emit(entry.type, entry);
+        return entry;
+    }
+}
+exports.MockSecondary = MockSecondary;
@@ -0,0 +1,359 @@
+'use strict';
+
+// Transaction signatures, as described in RFC 8945.
+//
+// TSIG operates on the wire format of messages, so signing happens after a
+// packet is written, and verification happens on the raw message buffer.
+
+const crypto = require('crypto');
+const Packet = require('native-dns-packet');
+const normalizeName = require('./records').normalizeName;
+
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+
+// The TSIG record class is ANY.
+const CLASS_ANY = 255;
+
+// Default allowed clock skew in seconds.
+const DEFAULT_FUDGE = 300;
+
+// Supported algorithms, mapped to Node.js hash names.
+exports.ALGORITHMS = {
+    'hmac-sha1': 'sha1',
+    'hmac-sha224': 'sha224',
+    'hmac-sha256': 'sha256',
+    'hmac-sha384': 'sha384',
+    'hmac-sha512': 'sha512'
+};
+
+// TSIG error codes. These are carried in the TSIG record, while the message
+// itself gets a NOTAUTH rcode.
+exports.BADSIG = 16;
+exports.BADKEY = 17;
+exports.BADTIME = 18;
+exports.BADTRUNC = 22;
+
+// Find a key by name in a keys object.
+//
+// Keys objects map key names to objects with `algorithm` and `secret`
+// properties. The secret is a Buffer or a base64 string.
+exports.findKey = (keys, name) => {
+    if (!keys)
+        return undefined;
+
+    name = normalizeName(name);
+    for (const key in keys) {
+        if (normalizeName(key) === name)
+            return keys[key];
+    }
+};
+
+// Encode a name in canonical wire format. (Lowercase and uncompressed.)
+const encodeName = (name) => {
+    const parts = [];
+    normalizeName(name).split('.').forEach((label) => {
+        if (!label)
+            return;
+        const buf = new Buffer(label, 'ascii');
+        parts.push(new Buffer([buf.length]), buf);
+    });
+    parts.push(new Buffer([0]));
+    return Buffer.concat(parts);
+};
+exports.encodeName = encodeName;
+
+// Read a possibly compressed name from a message. Returns the name and the
+// offset just past it.
+const readName = (wire, offset) => {
+    const labels = [];
+    let end = -1;
+    let jumps = 0;
+    for (;;) {
+        const len = wire[offset];
+        if (len === undefined)
+            throw new Error('Name exceeds message');
+        if ((len & 0xC0) === 0xC0) {
+            if (++jumps > 127)
+                throw new Error('Name compression loop');
+            if (end === -1)
+                end = offset + 2;
+            offset = wire.readUInt16BE(offset) & 0x3FFF;
+            continue;
+        }
+        offset += 1;
+        if (len === 0)
+            break;
+        labels.push(wire.toString('ascii', offset, offset + len));
+        offset += len;
+    }
+    return { name: labels.join('.'), end: end === -1 ? offset : end };
+};
+exports.readName = readName;
+
+// Skip over a resource record. Returns the offset just past it.
+const skipRecord = (wire, offset) => {
+    offset = readName(wire, offset).end;
+    return offset + 10 + wire.readUInt16BE(offset + 8);
+};
+
+// Write a 48-bit time value.
+const writeTime = (buf, time, offset) => {
+    buf.writeUInt16BE(Math.floor(time / 0x100000000) & 0xFFFF, offset);
+    buf.writeUInt32BE(time % 0x100000000, offset + 2);
+};
+
+// Read a 48-bit time value.
+const readTime = (buf, offset) => {
+    return buf.readUInt16BE(offset) * 0x100000000 +
+        buf.readUInt32BE(offset + 2);
+};
+
+// Current time in seconds.
+const now = () => Math.floor(Date.now() / 1000);
+
+// Compare buffers of equal length in constant time, also on versions of Node
+// without `crypto.timingSafeEqual`.
+const timingSafeEqual = (a, b) => {
+    if (crypto.timingSafeEqual)
+        return crypto.timingSafeEqual(a, b);
+    let diff = 0;
+    for (let i = 0; i < a.length; i++)
+        diff |= a[i] ^ b[i];
+    return diff === 0;
+};
+exports.timingSafeEqual = timingSafeEqual;
+
+// Locate and parse the TSIG record in a message.
+//
+// Returns undefined if the message is not signed. Otherwise returns an object
+// with the TSIG fields, and `offset` where the record starts.
+exports.parse = (wire) => {
+    const arcount = wire.readUInt16BE(10);
+    if (arcount === 0)
+        return undefined;
+
+    // Walk to the last record, which is where the TSIG record must be.
+    let offset = 12;
+    const qdcount = wire.readUInt16BE(4);
+    for (let i = 0; i < qdcount; i++)
+        offset = readName(wire, offset).end + 4;
+    let count = wire.readUInt16BE(6) + wire.readUInt16BE(8) + arcount - 1;
+    while (count--)
+        offset = skipRecord(wire, offset);
+
+    const start = offset;
+    const owner = readName(wire, offset);
+    offset = owner.end;
+    if (wire.readUInt16BE(offset) !== QTYPE.TSIG)
+        return undefined;
+    offset += 10;
+
+    const alg = readName(wire, offset);
+    offset = alg.end;
+    const res = {
+        offset: start,
+        keyName: normalizeName(owner.name),
+        algorithm: normalizeName(alg.name),
+        timeSigned: readTime(wire, offset),
+        fudge: wire.readUInt16BE(offset + 6)
+    };
+    offset += 8;
+
+    const macSize = wire.readUInt16BE(offset);
+    res.mac = wire.slice(offset + 2, offset + 2 + macSize);
+    offset += 2 + macSize;
+
+    res.originalId = wire.readUInt16BE(offset);
+    res.error = wire.readUInt16BE(offset + 2);
+    const otherLen = wire.readUInt16BE(offset + 4);
+    res.otherData = wire.slice(offset + 6, offset + 6 + otherLen);
+    return res;
+};
+
+// A TSIG session tracks the state of one signed exchange, which consists of
+// a request and one or more responses. The MAC of every message is chained
+// into the next one.
+class Session {
+    // Create a session for the named key, with a key object as found in a
+    // keys object.
+    constructor(keyName, key) {
+        this.keyName = normalizeName(keyName);
+        this.key = key;
+        this.algorithm = normalizeName(key.algorithm);
+        this.secret = Buffer.isBuffer(key.secret) ?
+            key.secret : new Buffer(key.secret, 'base64');
+        this.fudge = key.fudge || DEFAULT_FUDGE;
+        // MAC of the previous message in the exchange.
+        this.mac = null;
+        // Number of responses processed.
+        this.responses = 0;
+        // TSIG error to report in the next response.
+        this.error = 0;
+        // Time signed of the request, used for error responses.
+        this.timeSigned = 0;
+    }
+
+    // Maximum size of the TSIG record added by `sign`.
+    get maxSize() {
+        const hash = exports.ALGORITHMS[this.algorithm];
+        const macSize = hash ? crypto.createHash(hash).digest().length : 0;
+        return encodeName(this.keyName).length + 10 +
+            encodeName(this.algorithm).length + 16 + macSize + 6;
+    }
+
+    // Calculate the MAC for a message without TSIG record.
+    digest(message, timeSigned, fudge, error, otherData, timersOnly) {
+        const hmac = crypto.createHmac(
+            exports.ALGORITHMS[this.algorithm], this.secret);
+
+        if (this.mac) {
+            const size = new Buffer(2);
+            size.writeUInt16BE(this.mac.length, 0);
+            hmac.update(size);
+            hmac.update(this.mac);
+        }
+
+        hmac.update(message);
+
+        if (!timersOnly) {
+            const head = new Buffer(6);
+            head.writeUInt16BE(CLASS_ANY, 0);
+            head.writeUInt32BE(0, 2);
+            hmac.update(encodeName(this.keyName));
+            hmac.update(head);
+            hmac.update(encodeName(this.algorithm));
+        }
+
+        const timers = new Buffer(8);
+        writeTime(timers, timeSigned, 0);
+        timers.writeUInt16BE(fudge, 6);
+        hmac.update(timers);
+
+        if (!timersOnly) {
+            const tail = new Buffer(4);
+            tail.writeUInt16BE(error, 0);
+            tail.writeUInt16BE(otherData.length, 2);
+            hmac.update(tail);
+            hmac.update(otherData);
+        }
+
+        return hmac.digest();
+    }
+
+    // Sign an outgoing message. Returns a new buffer with the TSIG record
+    // appended.
+    sign(wire) {
+        const isResponse = Boolean(wire[2] & 0x80);
+        const error = isResponse ? this.error : 0;
+
+        // Error responses for bad keys and signatures are not signed, and
+        // repeat the time of the request.
+        const unsigned = error === exports.BADKEY || error === exports.BADSIG;
+        const timeSigned = unsigned ? this.timeSigned : now();
+
+        // For bad time, tell the other side what our time is.
+        let otherData = new Buffer(0);
+        if (error === exports.BADTIME) {
+            otherData = new Buffer(6);
+            writeTime(otherData, now(), 0);
+        }
+
+        let mac = new Buffer(0);
+        if (!unsigned) {
+            const timersOnly = isResponse && this.responses > 0;
+            mac = this.digest(
+                wire, timeSigned, this.fudge, error, otherData, timersOnly);
+            this.mac = mac;
+        }
+        if (isResponse)
+            this.responses += 1;
+
+        // Build the record.
+        const owner = encodeName(this.keyName);
+        const alg = encodeName(this.algorithm);
+        const rdata = new Buffer(alg.length + 16 + mac.length +
+            otherData.length);
+        let offset = alg.copy(rdata, 0);
+        writeTime(rdata, timeSigned, offset);
+        rdata.writeUInt16BE(this.fudge, offset + 6);
+        rdata.writeUInt16BE(mac.length, offset + 8);
+        offset += 10 + mac.copy(rdata, offset + 10);
+        rdata.writeUInt16BE(wire.readUInt16BE(0), offset);
+        rdata.writeUInt16BE(error, offset + 2);
+        rdata.writeUInt16BE(otherData.length, offset + 4);
+        otherData.copy(rdata, offset + 6);
+
+        const head = new Buffer(10);
+        head.writeUInt16BE(QTYPE.TSIG, 0);
+        head.writeUInt16BE(CLASS_ANY, 2);
+        head.writeUInt32BE(0, 4);
+        head.writeUInt16BE(rdata.length, 8);
+
+        const res = Buffer.concat([wire, owner, head, rdata]);
+        res.writeUInt16BE(res.readUInt16BE(10) + 1, 10);
+        return res;
+    }
+
+    // Verify an incoming message, with its TSIG record as returned by
+    // `parse`. Returns a TSIG error code, or 0 on success.
+    verify(wire, tsig) {
+        const isResponse = Boolean(wire[2] & 0x80);
+        this.timeSigned = tsig.timeSigned;
+
+        if (tsig.algorithm !== this.algorithm)
+            return (this.error = exports.BADKEY);
+
+        // Strip the TSIG record, and restore the original ID.
+        const message = new Buffer(tsig.offset);
+        wire.copy(message, 0, 0, tsig.offset);
+        message.writeUInt16BE(tsig.originalId, 0);
+        message.writeUInt16BE(message.readUInt16BE(10) - 1, 10);
+
+        // Truncated MACs are not accepted.
+        const timersOnly = isResponse && this.responses > 0;
+        const mac = this.digest(message, tsig.timeSigned, tsig.fudge,
+            tsig.error, tsig.otherData, timersOnly);
+        if (tsig.mac.length !== mac.length)
+            return (this.error = tsig.mac.length ?
+                exports.BADTRUNC : exports.BADSIG);
+        if (!timingSafeEqual(tsig.mac, mac))
+            return (this.error = exports.BADSIG);
+
+        this.mac = mac;
+        if (isResponse)
+            this.responses += 1;
+
+        if (Math.abs(now() - tsig.timeSigned) > tsig.fudge)
+            return (this.error = exports.BADTIME);
+
+        return (this.error = 0);
+    }
+}
+exports.Session = Session;
+
+// Verify a signed request message.
+//
+// Returns undefined if the message is not signed. Otherwise returns a session
+// to sign responses with. The `error` property of the session is the TSIG
+// error code, and is non-zero if verification failed.
+exports.verifyRequest = (wire, keys) => {
+    const tsig = exports.parse(wire);
+    if (!tsig)
+        return undefined;
+
+    const key = exports.findKey(keys, tsig.keyName);
+    if (!key || !exports.ALGORITHMS[normalizeName(key.algorithm)]) {
+        // Respond with the algorithm of the request.
+        const session = new Session(tsig.keyName, {
+            algorithm: tsig.algorithm,
+            secret: new Buffer(0)
+        });
+        session.timeSigned = tsig.timeSigned;
+        session.error = exports.BADKEY;
+        return session;
+    }
+
+    const session = new Session(tsig.keyName, key);
+    session.verify(wire, tsig);
+    return session;
+};
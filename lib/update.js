@@ -0,0 +1,459 @@
+'use strict';
+
+// Dynamic updates, as described in RFC 2136.
+//
+// UPDATE messages reuse the sections of a query: the question section holds
+// the zone, the answer section the prerequisites, and the authority section
+// the updates. Records in these sections may have no rdata at all, which the
+// packet parser doesn't handle, so UPDATE messages are parsed here.
+//
+// Updates are passed on as a list of operations, objects with an `op`
+// property, which is one of:
+//
+//  - `add`: Add the `record`.
+//  - `delete`: Delete the `record`, matched regardless of TTL.
+//  - `deleteRRset`: Delete the RRset with `name` and `type`.
+//  - `deleteName`: Delete all records with `name`.
+//
+// As required by RFC 2136, deletions of the SOA-record and of the NS RRset at
+// the apex are ignored. The RFC replaces the SOA-record when an added one has
+// a newer serial, but here, all SOA-record adds are ignored too. This is a
+// deliberate deviation: zones manage their own serial, and bump it on every
+// update.
+
+const Packet = require('native-dns-packet');
+const readName = require('./tsig').readName;
+const recordKey = require('./journal').recordKey;
+const normalizeName = require('./records').normalizeName;
+const CNAME_COMPANIONS = require('./validate').CNAME_COMPANIONS;
+
+const RCODE = Packet.consts.NAME_TO_RCODE;
+const QCLASS = Packet.consts.NAME_TO_QCLASS;
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+
+// Classes with special meaning in UPDATE messages.
+const CLASS_NONE = 254;
+const CLASS_ANY = 255;
+
+// Meta types, which can't be added.
+const META_TYPES = [QTYPE.ANY, QTYPE.AXFR, QTYPE.IXFR, QTYPE.MAILA,
+    QTYPE.MAILB];
+
+// Smallest valid rdata of types with fixed fields. A and AAAA rdata must be
+// exactly this size.
+const MIN_LENGTHS = {
+    [QTYPE.A]: 4,
+    [QTYPE.AAAA]: 16,
+    [QTYPE.MX]: 3,
+    [QTYPE.SRV]: 7,
+    [QTYPE.SOA]: 22,
+    [QTYPE.NAPTR]: 8,
+    [QTYPE.TLSA]: 3
+};
+
+// Check if a normalized name is at or below the apex.
+const inZone = (name, apex) => {
+    return name === apex || apex === '' ||
+        name.slice(-apex.length - 1) === '.' + apex;
+};
+
+// Check if a parsed record has rdata.
+const hasData = (record) => {
+    return Object.keys(record).some((key) => {
+        return ['name', 'type', 'class', 'ttl'].indexOf(key) === -1;
+    });
+};
+
+// Key identifying a record within its RRset, regardless of class and TTL.
+const identityKey = (record) => {
+    return recordKey(Object.assign({}, record, {
+        class: undefined,
+        ttl: undefined
+    }));
+};
+
+// Format an IPv6 address in the canonical text format of RFC 5952.
+const formatIPv6 = (wire, offset) => {
+    const groups = [];
+    for (let i = 0; i < 8; i++)
+        groups.push(wire.readUInt16BE(offset + i * 2).toString(16));
+
+    // Find the longest run of zero groups, of at least two.
+    let best = -1;
+    let bestLength = 1;
+    for (let i = 0; i < 8; i++) {
+        let length = 0;
+        while (i + length < 8 && groups[i + length] === '0')
+            length += 1;
+        if (length > bestLength) {
+            best = i;
+            bestLength = length;
+        }
+    }
+    if (best === -1)
+        return groups.join(':');
+    return groups.slice(0, best).join(':') + '::' +
+        groups.slice(best + bestLength).join(':');
+};
+
+// Read a character string. Returns the string and the offset past it.
+const readString = (wire, offset) => {
+    const length = wire[offset];
+    return {
+        value: wire.toString('utf8', offset + 1, offset + 1 + length),
+        end: offset + 1 + length
+    };
+};
+
+// Decode rdata into the record properties used by the packet parser. Throws
+// if the rdata is too short for the type.
+const decodeData = (record, wire, offset, length) => {
+    const min = MIN_LENGTHS[record.type];
+    const exact = record.type === QTYPE.A || record.type === QTYPE.AAAA;
+    if (min && (exact ? length !== min : length < min))
+        throw new Error('Invalid rdata length: ' + length);
+
+    const end = offset + length;
+    let res;
+    switch (record.type) {
+        case QTYPE.A:
+            record.address = Array.from(wire.slice(offset, end)).join('.');
+            break;
+        case QTYPE.AAAA:
+            record.address = formatIPv6(wire, offset);
+            break;
+        case QTYPE.NS:
+        case QTYPE.CNAME:
+        case QTYPE.PTR:
+            record.data = readName(wire, offset).name;
+            break;
+        case QTYPE.MX:
+            record.priority = wire.readUInt16BE(offset);
+            record.exchange = readName(wire, offset + 2).name;
+            break;
+        case QTYPE.TXT:
+        case QTYPE.SPF:
+            record.data = [];
+            while (offset < end) {
+                res = readString(wire, offset);
+                record.data.push(res.value);
+                offset = res.end;
+            }
+            break;
+        case QTYPE.SRV:
+            record.priority = wire.readUInt16BE(offset);
+            record.weight = wire.readUInt16BE(offset + 2);
+            record.port = wire.readUInt16BE(offset + 4);
+            record.target = readName(wire, offset + 6).name;
+            break;
+        case QTYPE.SOA:
+            res = readName(wire, offset);
+            record.primary = res.name;
+            res = readName(wire, res.end);
+            record.admin = res.name;
+            record.serial = wire.readUInt32BE(res.end);
+            record.refresh = wire.readUInt32BE(res.end + 4);
+            record.retry = wire.readUInt32BE(res.end + 8);
+            record.expiration = wire.readUInt32BE(res.end + 12);
+            record.minimum = wire.readUInt32BE(res.end + 16);
+            break;
+        case QTYPE.NAPTR:
+            record.order = wire.readUInt16BE(offset);
+            record.preference = wire.readUInt16BE(offset + 2);
+            offset += 4;
+            ['flags', 'service', 'regexp'].forEach((key) => {
+                res = readString(wire, offset);
+                record[key] = res.value;
+                offset = res.end;
+            });
+            record.replacement = readName(wire, offset).name;
+            break;
+        case QTYPE.TLSA:
+            record.usage = wire[offset];
+            record.selector = wire[offset + 1];
+            record.matchingtype = wire[offset + 2];
+            record.buff = new Buffer(wire.slice(offset + 3, end));
+            break;
+        default:
+            record.data = new Buffer(wire.slice(offset, end));
+            break;
+    }
+};
+
+// Read a resource record. Returns the record and the offset past it.
+const readRecord = (wire, offset) => {
+    const res = readName(wire, offset);
+    offset = res.end;
+    const record = {
+        name: res.name,
+        type: wire.readUInt16BE(offset),
+        class: wire.readUInt16BE(offset + 2),
+        ttl: wire.readUInt32BE(offset + 4)
+    };
+    const length = wire.readUInt16BE(offset + 8);
+    offset += 10;
+    if (offset + length > wire.length)
+        throw new Error('Record exceeds message');
+    if (length)
+        decodeData(record, wire, offset, length);
+    return { record, end: offset + length };
+};
+
+// Parse an UPDATE message into a Packet, like `Packet.parse`. Records without
+// rdata have just the `name`, `type`, `class` and `ttl` properties.
+exports.parseMessage = (wire) => {
+    const packet = new Packet();
+    const flags = wire.readUInt16BE(2);
+    packet.header.id = wire.readUInt16BE(0);
+    packet.header.qr = (flags >> 15) & 1;
+    packet.header.opcode = (flags >> 11) & 0xF;
+    packet.header.aa = (flags >> 10) & 1;
+    packet.header.tc = (flags >> 9) & 1;
+    packet.header.rd = (flags >> 8) & 1;
+    packet.header.ra = (flags >> 7) & 1;
+    packet.header.rcode = flags & 0xF;
+
+    let offset = 12;
+    const qdcount = wire.readUInt16BE(4);
+    for (let i = 0; i < qdcount; i++) {
+        const res = readName(wire, offset);
+        packet.question.push({
+            name: res.name,
+            type: wire.readUInt16BE(res.end),
+            class: wire.readUInt16BE(res.end + 2)
+        });
+        offset = res.end + 4;
+    }
+
+    ['answer', 'authority', 'additional'].forEach((section, i) => {
+        const count = wire.readUInt16BE(6 + i * 2);
+        for (let j = 0; j < count; j++) {
+            const res = readRecord(wire, offset);
+            packet[section].push(res.record);
+            offset = res.end;
+        }
+    });
+
+    // Expose EDNS like the packet parser does.
+    const opt = packet.additional.find((record) => {
+        return record.type === QTYPE.OPT;
+    });
+    if (opt)
+        packet.edns = opt;
+
+    return packet;
+};
+
+// Check the prerequisites of an update against the records of a zone,
+// including the SOA-record. Returns an rcode, NOERROR if all are met.
+exports.checkPrerequisites = (zoneName, prereqs, records) => {
+    const apex = normalizeName(zoneName);
+
+    // Index the zone by name and type.
+    const names = new Map();
+    records.forEach((record) => {
+        const name = normalizeName(record.name);
+        if (!names.has(name))
+            names.set(name, new Map());
+        const types = names.get(name);
+        if (!types.has(record.type))
+            types.set(record.type, new Set());
+        types.get(record.type).add(identityKey(record));
+    });
+    const hasRRset = (name, type) => {
+        return names.has(name) && names.get(name).has(type);
+    };
+
+    // Value dependent prerequisites, collected into RRsets.
+    const expected = new Map();
+
+    for (const prereq of prereqs) {
+        const name = normalizeName(prereq.name);
+        if (prereq.ttl !== 0)
+            return RCODE.FORMERR;
+        if (!inZone(name, apex))
+            return RCODE.NOTZONE;
+
+        if (prereq.class === CLASS_ANY || prereq.class === CLASS_NONE) {
+            if (hasData(prereq))
+                return RCODE.FORMERR;
+
+            const exists = prereq.type === QTYPE.ANY ?
+                names.has(name) : hasRRset(name, prereq.type);
+            if (prereq.class === CLASS_ANY && !exists) {
+                return prereq.type === QTYPE.ANY ?
+                    RCODE.NOTFOUND : RCODE.NXRRSET;
+            }
+            if (prereq.class === CLASS_NONE && exists) {
+                return prereq.type === QTYPE.ANY ?
+                    RCODE.YXDOMAIN : RCODE.YXRRSET;
+            }
+        }
+        else if (prereq.class === QCLASS.IN) {
+            const key = name + '/' + prereq.type;
+            if (!expected.has(key))
+                expected.set(key, { name, type: prereq.type, keys: new Set() });
+            expected.get(key).keys.add(identityKey(prereq));
+        }
+        else {
+            return RCODE.FORMERR;
+        }
+    }
+
+    // RRsets must match exactly.
+    for (const entry of expected.values()) {
+        const actual = hasRRset(entry.name, entry.type) ?
+            names.get(entry.name).get(entry.type) : new Set();
+        const equal = actual.size === entry.keys.size &&
+            Array.from(actual).every((key) => entry.keys.has(key));
+        if (!equal)
+            return RCODE.NXRRSET;
+    }
+
+    return RCODE.NOERROR;
+};
+
+// Check the update section, and convert it to operations. Returns an object
+// with the `rcode`, and on NOERROR, the `operations`.
+exports.parseUpdates = (zoneName, updates) => {
+    const apex = normalizeName(zoneName);
+    const operations = [];
+    const result = (rcode) => ({ rcode, operations });
+
+    for (const update of updates) {
+        const name = normalizeName(update.name);
+        if (!inZone(name, apex))
+            return result(RCODE.NOTZONE);
+
+        // Protect the SOA-record and apex NS RRset.
+        const isSoa = update.type === QTYPE.SOA;
+        const isApexNs = name === apex && update.type === QTYPE.NS;
+
+        if (update.class === QCLASS.IN) {
+            if (META_TYPES.indexOf(update.type) !== -1 || !hasData(update))
+                return result(RCODE.FORMERR);
+            if (!isSoa)
+                operations.push({ op: 'add', record: update });
+        }
+        else if (update.class === CLASS_ANY) {
+            if (
+                update.ttl !== 0 || hasData(update) ||
+                (update.type !== QTYPE.ANY &&
+                    META_TYPES.indexOf(update.type) !== -1)
+            )
+                return result(RCODE.FORMERR);
+            if (update.type === QTYPE.ANY)
+                operations.push({ op: 'deleteName', name: update.name });
+            else if (!isSoa && !isApexNs)
+                operations.push({
+                    op: 'deleteRRset',
+                    name: update.name,
+                    type: update.type
+                });
+        }
+        else if (update.class === CLASS_NONE) {
+            if (update.ttl !== 0 || META_TYPES.indexOf(update.type) !== -1)
+                return result(RCODE.FORMERR);
+            if (!isSoa) {
+                const record = Object.assign({}, update, {
+                    class: QCLASS.IN
+                });
+                delete record.ttl;
+                operations.push({ op: 'delete', record });
+            }
+        }
+        else {
+            return result(RCODE.FORMERR);
+        }
+    }
+
+    return result(RCODE.NOERROR);
+};
+
+// Apply operations to an in-memory zone, and commit. Operations are staged in
+// order, so later operations see the effect of earlier ones. Deleting all
+// records of the apex keeps the NS RRset, and the last NS-record at the apex
+// is never deleted.
+//
+// As described in RFC 2136 section 3.4.2.2, a CNAME-record is not added to a
+// name with other data, other data is not added to a name with a
+// CNAME-record, and adding a CNAME-record replaces an existing one. Types
+// allowed next to a CNAME-record for DNSSEC are exempt. Returns the serial.
+exports.applyToZone = (zone, operations) => {
+    const apex = normalizeName(zone.name);
+
+    // The staged contents of the zone: record identities by type, by name.
+    const names = new Map();
+    const rrset = (name, type) => {
+        if (!names.has(name))
+            names.set(name, new Map());
+        const types = names.get(name);
+        if (!types.has(type))
+            types.set(type, new Set());
+        return types.get(type);
+    };
+    const typesAt = (name) => {
+        const types = names.get(name) || new Map();
+        return Array.from(types.keys()).filter((type) => {
+            return types.get(type).size !== 0;
+        });
+    };
+    zone.records().forEach((record) => {
+        rrset(normalizeName(record.name), record.type)
+            .add(identityKey(record));
+    });
+
+    operations.forEach((operation) => {
+        const record = operation.record;
+        const name = normalizeName(record ? record.name : operation.name);
+        switch (operation.op) {
+            case 'add': {
+                const types = typesAt(name).filter((type) => {
+                    return CNAME_COMPANIONS.indexOf(type) === -1;
+                });
+                const hasCname = types.indexOf(QTYPE.CNAME) !== -1;
+                if (record.type === QTYPE.CNAME) {
+                    if (types.some((type) => type !== QTYPE.CNAME))
+                        break;
+                    if (hasCname) {
+                        zone.replace(name, QTYPE.CNAME, [record]);
+                        rrset(name, QTYPE.CNAME).clear();
+                        rrset(name, QTYPE.CNAME).add(identityKey(record));
+                        break;
+                    }
+                }
+                else if (hasCname &&
+                        CNAME_COMPANIONS.indexOf(record.type) === -1) {
+                    break;
+                }
+                zone.add(record);
+                rrset(name, record.type).add(identityKey(record));
+                break;
+            }
+            case 'delete': {
+                const keys = rrset(name, record.type);
+                const key = identityKey(record);
+                if (record.type === QTYPE.NS && name === apex &&
+                        (!keys.has(key) || keys.size === 1))
+                    break;
+                zone.remove(record);
+                keys.delete(key);
+                break;
+            }
+            case 'deleteRRset':
+                zone.removeRRset(operation.name, operation.type);
+                rrset(name, operation.type).clear();
+                break;
+            case 'deleteName':
+                typesAt(name).forEach((type) => {
+                    if (name !== apex || type !== QTYPE.NS) {
+                        zone.removeRRset(name, type);
+                        rrset(name, type).clear();
+                    }
+                });
+                break;
+        }
+    });
+
+    return zone.commit();
+};
@@ -0,0 +1,164 @@
+'use strict';
+
+// Validation of zone contents, to catch records that would make slaves reject
+// or only partially load a zone.
+//
+// Problems are objects with a `code`, a `message` and the offending `record`.
+// Codes are:
+//
+//  - `invalid`: Records without a name or type, with a class other than IN,
+//    or with a TTL outside the range of 0 to 2^31 - 1.
+//  - `outOfZone`: Names outside of the zone.
+//  - `duplicate`: Records that are identical, apart from the TTL.
+//  - `soa`: SOA-records other than a single SOA-record at the apex.
+//  - `cname`: CNAME-records at the apex, or next to other data at the same
+//    name. (DNSSEC records are allowed next to CNAME-records.)
+//  - `glue`: NS-records with a target in the zone, but without address
+//    records for the target.
+
+const Packet = require('native-dns-packet');
+const recordKey = require('./journal').recordKey;
+const normalizeName = require('./records').normalizeName;
+
+const QCLASS = Packet.consts.NAME_TO_QCLASS;
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+const QTYPE_NAMES = Packet.consts.QTYPE_TO_NAME;
+
+// Types allowed next to a CNAME-record.
+const CNAME_COMPANIONS = [QTYPE.RRSIG, QTYPE.NSEC, QTYPE.NSEC3];
+exports.CNAME_COMPANIONS = CNAME_COMPANIONS;
+
+// Describe a record in messages.
+const describe = (record) => {
+    return record.name + ' ' + (QTYPE_NAMES[record.type] || record.type);
+};
+
+// Checks records one by one, and remembers valid records for checks that
+// involve multiple records.
+//
+// Options are:
+//
+//  - `allowSoa`: Allow a single SOA-record at the apex. Transfer bodies don't
+//    contain the SOA-record, so by default, any SOA-record is a problem.
+//
+class Validator {
+    constructor(name, options) {
+        options = options || {};
+
+        this.name = normalizeName(name);
+        this.allowSoa = Boolean(options.allowSoa);
+        this.seenSoa = false;
+        // Keys of valid records, to find duplicates.
+        this.keys = new Set();
+        // Whether a name has a CNAME-record or other data, by name.
+        this.names = new Map();
+        // NS-records with a target in the zone, and names with address
+        // records, to check glue.
+        this.nsRecords = [];
+        this.addresses = new Set();
+    }
+
+    // Check if a normalized name is at or below the apex.
+    inZone(name) {
+        return name === this.name || this.name === '' ||
+            name.slice(-this.name.length - 1) === '.' + this.name;
+    }
+
+    // Check a record. Returns an array of problems, which is empty if the
+    // record is valid. Only valid records are remembered.
+    check(record) {
+        const problems = [];
+        const problem = (code, message) => {
+            problems.push({ code, message, record });
+            return problems;
+        };
+
+        if (
+            !record || typeof(record.name) !== 'string' ||
+            typeof(record.type) !== 'number'
+        )
+            return problem('invalid', 'Record without name or type');
+        if (record.class !== undefined && record.class !== QCLASS.IN)
+            return problem('invalid', 'Invalid class: ' + describe(record));
+        if (record.ttl !== undefined && !(
+            record.ttl >= 0 && record.ttl <= 0x7FFFFFFF &&
+            record.ttl === Math.floor(record.ttl)
+        ))
+            return problem('invalid', 'Invalid TTL: ' + describe(record));
+
+        const name = normalizeName(record.name);
+        if (!this.inZone(name))
+            return problem('outOfZone', 'Out of zone: ' + describe(record));
+
+        const key = recordKey(Object.assign({}, record, {
+            class: QCLASS.IN,
+            ttl: undefined
+        }));
+        if (this.keys.has(key))
+            return problem('duplicate', 'Duplicate: ' + describe(record));
+
+        if (record.type === QTYPE.SOA) {
+            if (!this.allowSoa || this.seenSoa || name !== this.name)
+                return problem('soa', 'Unexpected SOA-record: ' +
+                    describe(record));
+        }
+
+        const entry = this.names.get(name) || { cname: false, other: false };
+        if (record.type === QTYPE.CNAME) {
+            if (name === this.name)
+                return problem('cname', 'CNAME-record at apex: ' +
+                    describe(record));
+            if (entry.cname || entry.other)
+                return problem('cname', 'CNAME-record next to other data: ' +
+                    describe(record));
+        }
+        else if (CNAME_COMPANIONS.indexOf(record.type) === -1) {
+            if (entry.cname)
+                return problem('cname', 'Data next to CNAME-record: ' +
+                    describe(record));
+        }
+
+        // Remember the valid record.
+        this.keys.add(key);
+        if (record.type === QTYPE.CNAME)
+            entry.cname = true;
+        else if (CNAME_COMPANIONS.indexOf(record.type) === -1)
+            entry.other = true;
+        this.names.set(name, entry);
+
+        if (record.type === QTYPE.SOA)
+            this.seenSoa = true;
+        if (record.type === QTYPE.A || record.type === QTYPE.AAAA)
+            this.addresses.add(name);
+        if (record.type === QTYPE.NS && this.inZone(normalizeName(record.data)))
+            this.nsRecords.push(record);
+
+        return problems;
+    }
+
+    // Check the remembered records as a whole, once all records were checked.
+    // Returns an array of problems.
+    finish() {
+        return this.nsRecords.filter((record) => {
+            return !this.addresses.has(normalizeName(record.data));
+        }).map((record) => ({
+            code: 'glue',
+            message: 'Missing glue for ' + record.data + ': ' +
+                describe(record),
+            record: record
+        }));
+    }
+}
+exports.Validator = Validator;
+
+// Validate the records of a zone, for example the result of parsing a zone
+// file. Returns an array of problems, which is empty if the zone is valid.
+// The records may include the SOA-record.
+exports.validateZone = (name, records) => {
+    const validator = new Validator(name, { allowSoa: true });
+    let problems = [];
+    records.forEach((record) => {
+        problems = problems.concat(validator.check(record));
+    });
+    return problems.concat(validator.finish());
+};
@@ -0,0 +1,274 @@
+'use strict';
+
+// An in-memory zone, which can be served directly.
+//
+// A zone holds records grouped in RRsets. Changes are staged, and applied
+// together on `commit`, which also bumps the SOA serial. Transfers always see
+// a consistent, committed version of the zone.
+//
+// A zone has the `soaFn` and `bodyFn` methods the server expects of a zone
+// object, so it can be placed in the `zones` map of the server params.
+
+const EventEmitter = require('events');
+const Packet = require('native-dns-packet');
+const Journal = require('./journal').Journal;
+const recordKey = require('./journal').recordKey;
+const normalizeName = require('./records').normalizeName;
+
+const QCLASS = Packet.consts.NAME_TO_QCLASS;
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+
+// Key of the RRset a record belongs to.
+const rrsetKey = (name, type) => normalizeName(name) + '/' + type;
+
+// Key identifying a record within its RRset. The TTL is not part of the
+// identity of a record.
+const identityKey = (record) => {
+    return recordKey(Object.assign({}, record, { ttl: undefined }));
+};
+
+// Serial number arithmetic, as described in RFC 1982.
+//
+// Compare two serials. Returns a negative number if `a` precedes `b`, a
+// positive number if `a` follows `b`, and 0 if they are equal. Serials that
+// are exactly half the number space apart are undefined, and compare as
+// following in either order, so a change is never missed.
+exports.serialCompare = (a, b) => {
+    if (a === b)
+        return 0;
+    const diff = (a - b + 0x100000000) % 0x100000000;
+    return diff <= 0x80000000 ? 1 : -1;
+};
+
+// Add a number to a serial, wrapping around.
+exports.serialAdd = (serial, n) => {
+    return (serial + n) % 0x100000000;
+};
+
+// The date based serial for the start of today, in the YYYYMMDDnn format.
+const dateSerial = () => {
+    const now = new Date();
+    return ((now.getUTCFullYear() * 100 + now.getUTCMonth() + 1) * 100 +
+        now.getUTCDate()) * 100;
+};
+
+class Zone extends EventEmitter {
+    // Options are:
+    //
+    //  - `soa`: Properties of the SOA-record: `primary`, `admin`, `refresh`,
+    //    `retry`, `expiration` and `minimum`.
+    //
+    //  - `ttl`: Default TTL of records, including the SOA-record.
+    //    (default: 3600)
+    //
+    //  - `serial`: Initial serial. (default: 1, or today's date based serial)
+    //
+    //  - `serialPolicy`: Either `increment`, or `date` to use serials in the
+    //    YYYYMMDDnn format. (default: `increment`)
+    //
+    //  - `journal`: A `Journal` to record changes in, or true to create one.
+    //    The journal is used to answer IXFR requests.
+    //
+    constructor(name, options) {
+        super();
+        options = options || {};
+
+        this.name = normalizeName(name);
+        this.ttl = options.ttl || 3600;
+        this.serialPolicy = options.serialPolicy || 'increment';
+        this.soaFields = Object.assign({
+            primary: 'ns.' + this.name + '.',
+            admin: 'hostmaster.' + this.name + '.',
+            refresh: 3600,
+            retry: 900,
+            expiration: 1209600,
+            minimum: 3600
+        }, options.soa);
+
+        if (options.serial !== undefined)
+            this.serial = options.serial;
+        else if (this.serialPolicy === 'date')
+            this.serial = dateSerial();
+        else
+            this.serial = 1;
+
+        if (options.journal === true)
+            this.journal = new Journal();
+        else if (options.journal)
+            this.journal = options.journal;
+
+        // Committed RRsets, by RRset key. Replaced as a whole on commit.
+        this.rrsets = new Map();
+        // Staged changes.
+        this.pending = [];
+    }
+
+    // Alias, so a zone can also be used as server params directly.
+    get domain() {
+        return this.name;
+    }
+
+    // Stage adding a record, or an array of records. Missing `class` and
+    // `ttl` properties are filled in. Adding a record that already exists
+    // with a different TTL updates the TTL.
+    add(records) {
+        [].concat(records).forEach((record) => {
+            this.pending.push({ op: 'add', record: this.complete(record) });
+        });
+        return this;
+    }
+
+    // Stage removing a record, or an array of records. Records are matched
+    // regardless of TTL.
+    remove(records) {
+        [].concat(records).forEach((record) => {
+            this.pending.push({ op: 'remove', record: this.complete(record) });
+        });
+        return this;
+    }
+
+    // Stage replacing an RRset with the given array of records.
+    replace(name, type, records) {
+        this.pending.push({
+            op: 'replace',
+            key: rrsetKey(name, type),
+            records: records.map((record) => this.complete(record))
+        });
+        return this;
+    }
+
+    // Stage removing an RRset.
+    removeRRset(name, type) {
+        return this.replace(name, type, []);
+    }
+
+    // Discard staged changes.
+    rollback() {
+        this.pending = [];
+        return this;
+    }
+
+    // Get the committed records of an RRset.
+    getRRset(name, type) {
+        return (this.rrsets.get(rrsetKey(name, type)) || []).slice();
+    }
+
+    // Get all committed records, not including the SOA-record.
+    records() {
+        const res = [];
+        this.rrsets.forEach((list) => {
+            list.forEach((record) => res.push(record));
+        });
+        return res;
+    }
+
+    // Apply staged changes, and bump the serial. Returns the new serial.
+    //
+    // If the changes result in an actual difference, a `commit` event is
+    // emitted with arguments `(serial, changes)`, where changes is an object
+    // with the `removed` and `added` records. Servers use this event to send
+    // NOTIFY messages.
+    commit() {
+        const pending = this.pending;
+        this.pending = [];
+
+        // Apply changes on a copy.
+        const rrsets = new Map(this.rrsets);
+        const touched = new Map();
+        const touch = (key) => {
+            if (!touched.has(key))
+                touched.set(key, this.rrsets.get(key) || []);
+            return (rrsets.get(key) || []).slice();
+        };
+        const store = (key, list) => {
+            if (list.length)
+                rrsets.set(key, list);
+            else
+                rrsets.delete(key);
+        };
+
+        pending.forEach((change) => {
+            if (change.op === 'replace') {
+                touch(change.key);
+                return store(change.key, change.records);
+            }
+
+            const key = rrsetKey(change.record.name, change.record.type);
+            const id = identityKey(change.record);
+            const list = touch(key).filter((record) => {
+                return identityKey(record) !== id;
+            });
+            if (change.op === 'add')
+                list.push(change.record);
+            store(key, list);
+        });
+
+        // Collect actual differences.
+        const removed = [];
+        const added = [];
+        touched.forEach((oldList, key) => {
+            const newList = rrsets.get(key) || [];
+            const oldKeys = new Set(oldList.map(recordKey));
+            const newKeys = new Set(newList.map(recordKey));
+            oldList.forEach((record) => {
+                if (!newKeys.has(recordKey(record)))
+                    removed.push(record);
+            });
+            newList.forEach((record) => {
+                if (!oldKeys.has(recordKey(record)))
+                    added.push(record);
+            });
+        });
+        if (!removed.length && !added.length)
+            return this.serial;
+
+        // Commit.
+        const oldSerial = this.serial;
+        this.rrsets = rrsets;
+        this.serial = this.nextSerial();
+        if (this.journal)
+            this.journal.record(oldSerial, this.serial, removed, added);
+
+        this.emit('commit', this.serial, { removed, added });
+        return this.serial;
+    }
+
+    // Determine the next serial.
+    nextSerial() {
+        if (this.serialPolicy === 'date') {
+            const today = dateSerial();
+            if (exports.serialCompare(today, this.serial) > 0)
+                return today;
+        }
+        return exports.serialAdd(this.serial, 1);
+    }
+
+    // Build the current SOA-record.
+    soa() {
+        return Object.assign({
+            class: QCLASS.IN,
+            type: QTYPE.SOA,
+            name: this.name,
+            ttl: this.ttl,
+            serial: this.serial
+        }, this.soaFields);
+    }
+
+    // Fill in defaults of a record.
+    complete(record) {
+        return Object.assign({ class: QCLASS.IN, ttl: this.ttl }, record);
+    }
+
+    // Server callback to build the SOA-record.
+    soaFn(conn, req, cb) {
+        cb(null, this.soa());
+    }
+
+    // Server callback to build the transfer body. Records of the committed
+    // version of the zone at the time of the call are sent.
+    bodyFn(conn, req, soa, emit, cb) {
+        this.rrsets.forEach((list) => list.forEach((record) => emit(record)));
+        cb(null);
+    }
+}
+exports.Zone = Zone;
@@ -0,0 +1,652 @@
+'use strict';
+
+// Master zone file import and export, as described in RFC 1035 section 5.
+//
+// Parsed records are plain objects, the same as passed to `emitFn`. Names are
+// absolute, without a trailing dot.
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const Packet = require('native-dns-packet');
+const invoke = require('./invoke');
+
+// The records module requires this one, so is required when called.
+const normalizeName = (name) => require('./records').normalizeName(name);
+
+const QCLASS = Packet.consts.NAME_TO_QCLASS;
+const QTYPE = Packet.consts.NAME_TO_QTYPE;
+const QTYPE_NAMES = Packet.consts.QTYPE_TO_NAME;
+
+// Maximum depth of nested `$INCLUDE` directives.
+const MAX_INCLUDE_DEPTH = 16;
+
+// TTL units, in seconds.
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// Build an error for a position in the input.
+const parseError = (state, line, message) => {
+    const where = (state.file || '<input>') + ':' + line;
+    const err = new Error(where + ': ' + message);
+    err.file = state.file;
+    err.line = line;
+    return err;
+};
+
+// Split text into logical lines of tokens. Parentheses join physical lines,
+// and comments are dropped. Each line records whether it started with
+// whitespace, which means the owner name is omitted.
+const tokenize = (text, state) => {
+    const lines = [];
+    let tokens = [];
+    let indented = false;
+    let depth = 0;
+    let lineNo = 1;
+    let startLine = 1;
+    let atLineStart = true;
+
+    const endLine = () => {
+        if (tokens.length)
+            lines.push({ tokens, indented, line: startLine });
+        tokens = [];
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const c = text[i];
+
+        if (c === '\n') {
+            lineNo += 1;
+            i += 1;
+            if (depth === 0) {
+                endLine();
+                atLineStart = true;
+            }
+            continue;
+        }
+
+        if (atLineStart) {
+            indented = c === ' ' || c === '\t';
+            startLine = lineNo;
+            atLineStart = false;
+        }
+
+        if (c === ' ' || c === '\t' || c === '\r') {
+            i += 1;
+        }
+        else if (c === ';') {
+            while (i < text.length && text[i] !== '\n')
+                i += 1;
+        }
+        else if (c === '(') {
+            depth += 1;
+            i += 1;
+        }
+        else if (c === ')') {
+            if (--depth < 0)
+                throw parseError(state, lineNo, 'Unbalanced parentheses');
+            i += 1;
+        }
+        else if (c === '"') {
+            let value = '';
+            i += 1;
+            while (text[i] !== '"') {
+                if (i >= text.length)
+                    throw parseError(state, lineNo, 'Unterminated string');
+                if (text[i] === '\\')
+                    value += text[i++];
+                if (text[i] === '\n')
+                    lineNo += 1;
+                value += text[i++];
+            }
+            i += 1;
+            tokens.push({ value, quoted: true });
+        }
+        else {
+            let value = '';
+            while (i < text.length && !/[\s;()"]/.test(text[i])) {
+                if (text[i] === '\\')
+                    value += text[i++];
+                value += text[i++];
+            }
+            tokens.push({ value, quoted: false });
+        }
+    }
+
+    if (depth !== 0)
+        throw parseError(state, lineNo, 'Unbalanced parentheses');
+    endLine();
+    return lines;
+};
+
+// Decode escapes in a character string. `\DDD` is a decimal byte value, and
+// `\X` is a literal character.
+const decodeString = (value) => {
+    const bytes = [];
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '\\' && /^\d{3}$/.test(value.substr(i + 1, 3))) {
+            bytes.push(parseInt(value.substr(i + 1, 3), 10));
+            i += 3;
+        }
+        else {
+            if (value[i] === '\\')
+                i += 1;
+            const buf = new Buffer(value[i], 'utf8');
+            for (let j = 0; j < buf.length; j++)
+                bytes.push(buf[j]);
+        }
+    }
+    return new Buffer(bytes).toString('utf8');
+};
+
+// Parse a TTL value, which may use BIND-style units. Returns NaN if the value
+// is not a TTL.
+const parseTtl = (value) => {
+    if (/^\d+$/.test(value))
+        return parseInt(value, 10);
+    if (!/^(\d+[smhdw])+$/i.test(value))
+        return NaN;
+
+    let ttl = 0;
+    value.replace(/(\d+)([smhdw])/gi, (match, n, unit) => {
+        ttl += parseInt(n, 10) * TTL_UNITS[unit.toLowerCase()];
+    });
+    return ttl;
+};
+exports.parseTtl = parseTtl;
+
+// Make a name absolute, relative to the origin.
+const absoluteName = (value, origin) => {
+    if (value === '@')
+        return origin;
+    if (value === '.')
+        return '';
+    if (value[value.length - 1] === '.')
+        return value.slice(0, -1);
+    return origin ? value + '.' + origin : value;
+};
+
+// Parse the rdata tokens of a record into the record object.
+const parseData = (record, rd, origin, fail) => {
+    const need = (count) => {
+        if (rd.length < count)
+            throw fail('Missing data for ' + QTYPE_NAMES[record.type]);
+    };
+    const int = (token, max) => {
+        const n = parseInt(token.value, 10);
+        if (!/^\d+$/.test(token.value) || n > max)
+            throw fail('Invalid number: ' + token.value);
+        return n;
+    };
+    const name = (token) => absoluteName(token.value, origin);
+    const hex = (tokens) => {
+        const str = tokens.map((token) => token.value).join('');
+        if (!/^([0-9a-f]{2})*$/i.test(str))
+            throw fail('Invalid hex data');
+        return new Buffer(str, 'hex');
+    };
+
+    // Generic format of RFC 3597, for any type.
+    if (rd.length && rd[0].value === '\\#' && !rd[0].quoted) {
+        need(2);
+        record.data = hex(rd.slice(2));
+        if (record.data.length !== int(rd[1], 0xFFFF))
+            throw fail('Generic data length mismatch');
+        return;
+    }
+
+    switch (record.type) {
+        case QTYPE.A:
+            need(1);
+            if (!net.isIPv4(rd[0].value))
+                throw fail('Invalid IPv4 address: ' + rd[0].value);
+            record.address = rd[0].value;
+            break;
+        case QTYPE.AAAA:
+            need(1);
+            if (!net.isIPv6(rd[0].value))
+                throw fail('Invalid IPv6 address: ' + rd[0].value);
+            record.address = rd[0].value;
+            break;
+        case QTYPE.NS:
+        case QTYPE.CNAME:
+        case QTYPE.PTR:
+            need(1);
+            record.data = name(rd[0]);
+            break;
+        case QTYPE.MX:
+            need(2);
+            record.priority = int(rd[0], 0xFFFF);
+            record.exchange = name(rd[1]);
+            break;
+        case QTYPE.TXT:
+        case QTYPE.SPF:
+            need(1);
+            record.data = rd.map((token) => decodeString(token.value));
+            break;
+        case QTYPE.SRV:
+            need(4);
+            record.priority = int(rd[0], 0xFFFF);
+            record.weight = int(rd[1], 0xFFFF);
+            record.port = int(rd[2], 0xFFFF);
+            record.target = name(rd[3]);
+            break;
+        case QTYPE.SOA:
+            need(7);
+            record.primary = name(rd[0]);
+            record.admin = name(rd[1]);
+            record.serial = int(rd[2], 0xFFFFFFFF);
+            ['refresh', 'retry', 'expiration', 'minimum'].forEach((key, i) => {
+                record[key] = parseTtl(rd[3 + i].value);
+                if (isNaN(record[key]))
+                    throw fail('Invalid SOA ' + key + ': ' + rd[3 + i].value);
+            });
+            break;
+        case QTYPE.NAPTR:
+            need(6);
+            record.order = int(rd[0], 0xFFFF);
+            record.preference = int(rd[1], 0xFFFF);
+            record.flags = decodeString(rd[2].value);
+            record.service = decodeString(rd[3].value);
+            record.regexp = decodeString(rd[4].value);
+            record.replacement = name(rd[5]);
+            break;
+        case QTYPE.TLSA:
+            need(4);
+            record.usage = int(rd[0], 0xFF);
+            record.selector = int(rd[1], 0xFF);
+            record.matchingtype = int(rd[2], 0xFF);
+            record.buff = hex(rd.slice(3));
+            break;
+        case QTYPE.CAA: {
+            need(3);
+            const tag = new Buffer(rd[1].value, 'ascii');
+            const value = new Buffer(decodeString(rd[2].value), 'utf8');
+            record.data = Buffer.concat([
+                new Buffer([int(rd[0], 0xFF), tag.length]), tag, value
+            ]);
+            break;
+        }
+        case QTYPE.DS: {
+            need(4);
+            const fixed = new Buffer(4);
+            fixed.writeUInt16BE(int(rd[0], 0xFFFF), 0);
+            fixed[2] = int(rd[1], 0xFF);
+            fixed[3] = int(rd[2], 0xFF);
+            record.data = Buffer.concat([fixed, hex(rd.slice(3))]);
+            break;
+        }
+        case QTYPE.DNSKEY: {
+            need(4);
+            const key = rd.slice(3).map((token) => token.value).join('');
+            if (!/^[A-Za-z0-9+/]+=*$/.test(key))
+                throw fail('Invalid base64 data');
+            const fixed = new Buffer(4);
+            fixed.writeUInt16BE(int(rd[0], 0xFFFF), 0);
+            fixed[2] = int(rd[1], 0xFF);
+            fixed[3] = int(rd[2], 0xFF);
+            record.data = Buffer.concat([fixed, new Buffer(key, 'base64')]);
+            break;
+        }
+        default:
+            throw fail('Unsupported type ' + QTYPE_NAMES[record.type] +
+                ', use the generic \\# format');
+    }
+};
+
+// Parse text into the state, which collects records.
+const parseText = (text, state) => {
+    tokenize(text, state).forEach((line) => {
+        const fail = (message) => parseError(state, line.line, message);
+        const tokens = line.tokens;
+        const first = tokens[0].value;
+
+        // Directives.
+        if (!line.indented && first[0] === '$') {
+            switch (first.toUpperCase()) {
+                case '$ORIGIN':
+                    if (tokens.length < 2)
+                        throw fail('Missing origin');
+                    state.origin = absoluteName(tokens[1].value, state.origin);
+                    return;
+                case '$TTL':
+                    state.ttl = parseTtl(tokens[1] ? tokens[1].value : '');
+                    if (isNaN(state.ttl))
+                        throw fail('Invalid TTL');
+                    return;
+                case '$INCLUDE':
+                    return include(tokens, state, fail);
+                default:
+                    throw fail('Unsupported directive: ' + first);
+            }
+        }
+
+        // Owner name, or the previous owner if omitted.
+        let idx = 0;
+        if (!line.indented) {
+            state.owner = absoluteName(first, state.origin);
+            idx = 1;
+        }
+        if (state.owner === undefined)
+            throw fail('No owner name');
+
+        // TTL and class, in any order, followed by the type.
+        let ttl;
+        let type;
+        for (; idx < tokens.length && type === undefined; idx++) {
+            const value = tokens[idx].value.toUpperCase();
+            if (QCLASS[value] !== undefined)
+                continue;
+            if (/^(CH|HS|CS|ANY)$/.test(value))
+                throw fail('Unsupported class: ' + value);
+
+            const n = parseTtl(value);
+            if (!isNaN(n))
+                ttl = n;
+            else if (QTYPE[value] !== undefined)
+                type = QTYPE[value];
+            else if (/^TYPE\d+$/.test(value))
+                type = parseInt(value.slice(4), 10);
+            else
+                throw fail('Unknown type: ' + tokens[idx].value);
+        }
+        if (type === undefined)
+            throw fail('Missing type');
+
+        // Default the TTL to `$TTL`, or the previous TTL.
+        if (ttl === undefined)
+            ttl = state.ttl !== undefined ? state.ttl : state.lastTtl;
+        const record = {
+            class: QCLASS.IN,
+            type: type,
+            name: state.owner,
+            ttl: ttl
+        };
+        parseData(record, tokens.slice(idx), state.origin, fail);
+
+        // Without any TTL, fall back to the SOA minimum.
+        if (record.ttl === undefined) {
+            if (type === QTYPE.SOA)
+                record.ttl = record.minimum;
+            else if (state.soa)
+                record.ttl = state.soa.minimum;
+            else
+                throw fail('No TTL specified');
+        }
+        if (type === QTYPE.SOA)
+            state.soa = record;
+
+        state.lastTtl = record.ttl;
+        state.records.push(record);
+    });
+};
+
+// Handle an `$INCLUDE` directive. The origin change of the included file
+// does not carry over to the including file.
+const include = (tokens, state, fail) => {
+    if (tokens.length < 2)
+        throw fail('Missing file name');
+    if (state.depth >= MAX_INCLUDE_DEPTH)
+        throw fail('Too many nested includes');
+
+    const base = state.file ? path.dirname(state.file) : process.cwd();
+    const file = path.resolve(base, tokens[1].value);
+    let text;
+    try { text = fs.readFileSync(file, 'utf8'); }
+    catch (err) { throw fail('Cannot include ' + file + ': ' + err.message); }
+
+    const outer = { file: state.file, origin: state.origin };
+    state.file = file;
+    state.depth += 1;
+    if (tokens[2])
+        state.origin = absoluteName(tokens[2].value, state.origin);
+    parseText(text, state);
+    state.depth -= 1;
+    state.file = outer.file;
+    state.origin = outer.origin;
+};
+
+// Parse zone file text, and return an array of records.
+//
+// Options are:
+//
+//  - `origin`: The initial origin. (default: the root)
+//  - `ttl`: The initial default TTL. (default: none)
+//  - `file`: File name of the text, used for error messages and to resolve
+//    `$INCLUDE` paths. (default: relative to the working directory)
+//
+// Throws on syntax errors, with `file` and `line` properties on the error.
+exports.parse = (text, options) => {
+    options = options || {};
+    const state = {
+        file: options.file,
+        origin: options.origin ? absoluteName(options.origin, '') : '',
+        ttl: options.ttl,
+        lastTtl: undefined,
+        owner: undefined,
+        soa: undefined,
+        depth: 0,
+        records: []
+    };
+    parseText(text, state);
+    return state.records;
+};
+
+// Read and parse a zone file. Takes the same options as `parse`.
+// The callback signature is `(error, records)`.
+exports.parseFile = (file, options, cb) => {
+    if (typeof(options) === 'function') {
+        cb = options;
+        options = {};
+    }
+
+    fs.readFile(file, 'utf8', (err, text) => {
+        if (err)
+            return cb(err);
+
+        let records;
+        try {
+            records = exports.parse(text, Object.assign({}, options, {
+                file: file
+            }));
+        }
+        catch (err) {
+            return cb(err);
+        }
+        cb(null, records);
+    });
+};
+
+// Format a name, relative to the origin if possible.
+const formatName = (name, origin) => {
+    name = String(name).replace(/\.$/, '');
+    const lower = name.toLowerCase();
+    if (origin !== undefined) {
+        if (lower === origin)
+            return '@';
+        if (origin && lower.slice(-origin.length - 1) === '.' + origin)
+            return name.slice(0, -origin.length - 1);
+    }
+    return name + '.';
+};
+
+// Format a character string, quoted and escaped.
+const formatString = (str) => {
+    let res = '"';
+    const buf = new Buffer(String(str), 'utf8');
+    for (let i = 0; i < buf.length; i++) {
+        const c = buf[i];
+        if (c === 0x22 || c === 0x5C)
+            res += '\\' + String.fromCharCode(c);
+        else if (c < 0x20 || c > 0x7E)
+            res += '\\' + ('00' + c).slice(-3);
+        else
+            res += String.fromCharCode(c);
+    }
+    return res + '"';
+};
+
+// Format raw data in the generic format of RFC 3597.
+const formatGeneric = (data) => {
+    if (data && !Buffer.isBuffer(data))
+        data = data.buffer;
+    data = data || new Buffer(0);
+    const hex = data.length ? ' ' + data.toString('hex') : '';
+    return '\\# ' + data.length + hex;
+};
+
+// Format the rdata of a record.
+const formatData = (record) => {
+    const name = (value) => formatName(value);
+    switch (record.type) {
+        case QTYPE.A:
+        case QTYPE.AAAA:
+            return record.address;
+        case QTYPE.NS:
+        case QTYPE.CNAME:
+        case QTYPE.PTR:
+            return name(record.data);
+        case QTYPE.MX:
+            return record.priority + ' ' + name(record.exchange);
+        case QTYPE.TXT:
+        case QTYPE.SPF:
+            return [].concat(record.data).map(formatString).join(' ');
+        case QTYPE.SRV:
+            return [record.priority, record.weight, record.port,
+                name(record.target)].join(' ');
+        case QTYPE.SOA:
+            return [name(record.primary), name(record.admin), record.serial,
+                record.refresh, record.retry, record.expiration,
+                record.minimum].join(' ');
+        case QTYPE.NAPTR:
+            return [record.order, record.preference,
+                formatString(record.flags), formatString(record.service),
+                formatString(record.regexp), name(record.replacement)
+            ].join(' ');
+        case QTYPE.TLSA:
+            return [record.usage, record.selector, record.matchingtype,
+                record.buff.toString('hex')].join(' ');
+        case QTYPE.CAA:
+            if (Buffer.isBuffer(record.data) && record.data.length >= 2) {
+                const tagEnd = 2 + record.data[1];
+                return record.data[0] + ' ' +
+                    record.data.toString('ascii', 2, tagEnd) + ' ' +
+                    formatString(record.data.toString('utf8', tagEnd));
+            }
+            return formatGeneric(record.data);
+        case QTYPE.DS:
+            if (Buffer.isBuffer(record.data) && record.data.length > 4) {
+                return [record.data.readUInt16BE(0), record.data[2],
+                    record.data[3], record.data.toString('hex', 4)
+                ].join(' ');
+            }
+            return formatGeneric(record.data);
+        case QTYPE.DNSKEY:
+            if (Buffer.isBuffer(record.data) && record.data.length > 4) {
+                return [record.data.readUInt16BE(0), record.data[2],
+                    record.data[3], record.data.toString('base64', 4)
+                ].join(' ');
+            }
+            return formatGeneric(record.data);
+        default:
+            return formatGeneric(record.data);
+    }
+};
+
+// Format a single record as a zone file line.
+exports.formatRecord = (record, origin) => {
+    if (origin !== undefined)
+        origin = normalizeName(origin);
+    const typeName = QTYPE_NAMES[record.type] || 'TYPE' + record.type;
+    return [
+        formatName(record.name, origin),
+        record.ttl,
+        'IN',
+        typeName,
+        formatData(record)
+    ].join('\t');
+};
+
+// Serialize records as zone file text.
+//
+// Options are:
+//
+//  - `origin`: Owner names are written relative to this origin, and an
+//    `$ORIGIN` directive is added.
+//  - `ttl`: Adds a `$TTL` directive. Records still have explicit TTLs.
+//  - `sort`: Sort records by name and type, for stable output. The SOA
+//    record is always written first.
+exports.serialize = (records, options) => {
+    options = options || {};
+
+    let origin;
+    const lines = [];
+    if (options.origin !== undefined) {
+        origin = normalizeName(options.origin);
+        lines.push('$ORIGIN ' + (origin ? origin + '.' : '.'));
+    }
+    if (options.ttl !== undefined)
+        lines.push('$TTL ' + options.ttl);
+
+    records = records.slice();
+    if (options.sort) {
+        const sortKey = (record) => {
+            return normalizeName(record.name).split('.').reverse().join('.');
+        };
+        records.sort((a, b) => {
+            const ka = sortKey(a);
+            const kb = sortKey(b);
+            if (ka !== kb)
+                return ka < kb ? -1 : 1;
+            if (a.type !== b.type)
+                return a.type - b.type;
+            const fa = formatData(a);
+            const fb = formatData(b);
+            return fa < fb ? -1 : fa > fb ? 1 : 0;
+        });
+    }
+
+    // The SOA-record goes first.
+    const soaIdx = records.findIndex((record) => record.type === QTYPE.SOA);
+    if (soaIdx > 0)
+        records.unshift(records.splice(soaIdx, 1)[0]);
+
+    records.forEach((record) => {
+        lines.push(exports.formatRecord(record, origin));
+    });
+    return lines.join('\n') + '\n';
+};
+
+// Serialize a zone by calling its `soaFn` and `bodyFn`, as if for an AXFR
+// request without a connection. Zone params are the same as the server
+// params, or the objects in its `zones` map. Takes the same options as
+// `serialize`, but the origin defaults to the zone name. For zone objects
+// without a `domain` or `name` property, the origin must be specified.
+//
+// The callback signature is `(error, text)`.
+exports.dump = (zoneParams, options, cb) => {
+    if (typeof(options) === 'function') {
+        cb = options;
+        options = {};
+    }
+
+    const name = options.origin || zoneParams.domain || zoneParams.name;
+    const req = new Packet();
+    req.question = [{ class: QCLASS.IN, type: QTYPE.AXFR, name: name }];
+
+    invoke.callSoaFn(zoneParams, null, req, (err, soa) => {
+        if (err)
+            return cb(err);
+
+        const records = [soa];
+        const emit = invoke.createEmitFn((record) => records.push(record));
+        invoke.callBodyFn(zoneParams, null, req, soa, emit, (err) => {
+            if (err)
+                return cb(err);
+
+            cb(null, exports.serialize(records, Object.assign({
+                origin: name
+            }, options)));
+        });
+    });
+};
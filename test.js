@@ -3,13 +3,18 @@
 
 const t = require('tap');
 const fs = require('fs');
+const os = require('os');
 const net = require('net');
+const dgram = require('dgram');
 const path = require('path');
+const stream = require('stream');
 const zonemaster = require('.');
 const concatStream = require('concat-stream');
+const Packet = require('native-dns-packet');
 
 const QCLASS = zonemaster.consts.NAME_TO_QCLASS;
 const QTYPE = zonemaster.consts.NAME_TO_QTYPE;
+const RCODE = zonemaster.consts.NAME_TO_RCODE;
 
 const readFixture = (name) => {
     return fs.readFileSync(
@@ -17,6 +22,29 @@ const readFixture = (name) => {
     );
 };
 
+// Create a temporary directory, which is removed when the test ends.
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zonemaster-'));
+    t.teardown(() => {
+        fs.readdirSync(dir).forEach((name) => {
+            fs.unlinkSync(path.join(dir, name));
+        });
+        fs.rmdirSync(dir);
+    });
+    return dir;
+};
+
+// Load the CLI module, and silence its log until the test ends.
+const quietCli = (t) => {
+    const cli = require('./lib/cli');
+    const log = cli.log;
+    cli.log = () => {};
+    t.teardown(() => {
+        cli.log = log;
+    });
+    return cli;
+};
+
 const createMaster = (t) => {
     const master = zonemaster({
         domain: 'test.lan',
@@ -70,15 +98,51 @@ const createMaster = (t) => {
     return master;
 };
 
+const buildSoa = (name, serial) => ({
+    class: QCLASS.IN,
+    type: QTYPE.SOA,
+    name: name,
+    ttl: 3600,
+    primary: 'ns.' + name + '.',
+    admin: 'admin.' + name + '.',
+    serial: serial,
+    refresh: 172800,
+    retry: 900,
+    expiration: 1209600,
+    minimum: 3600
+});
+
+// Create a slave server. The callback is called for every request, with the
+// raw bytes received on the connection so far, and may return a response
+// packet to send.
 const createSlave = (t, cb) => {
     const slave = net.createServer((conn) => {
+        let raw = new Buffer(0);
         conn.on('error', t.threw);
-        conn.pipe(concatStream(cb));
+        conn.on('data', (data) => {
+            raw = Buffer.concat([raw, data]);
+        });
+        zonemaster.addWrappers(conn, 4096);
+        conn.readableWrap.on('data', (req) => {
+            const res = cb(req, conn, raw);
+            if (res)
+                conn.writableWrap.write(res);
+        });
     });
     slave.on('error', t.threw);
     return slave;
 };
 
+// Build a response packet for a request.
+const buildResponse = (req) => {
+    const res = new Packet();
+    res.header.id = req.header.id;
+    res.header.opcode = req.header.opcode;
+    res.header.qr = 1;
+    res.question = req.question;
+    return res;
+};
+
 const connect = (t, port, data, cb) => {
     const conn = net.connect(port);
     conn.on('error', t.threw);
@@ -87,6 +151,76 @@ const connect = (t, port, data, cb) => {
     return conn;
 };
 
+// Build a request packet with a single question.
+const buildQuery = (name, type) => {
+    const req = new Packet();
+    req.header.id = 1234;
+    req.question = [{ class: QCLASS.IN, type: type, name: name }];
+    return req;
+};
+
+// Send a request, and collect the given number of response packets.
+const exchange = (t, port, req, count, cb) => {
+    const conn = net.connect(port);
+    conn.on('error', t.threw);
+    zonemaster.addWrappers(conn, 4096);
+
+    const responses = [];
+    conn.readableWrap.on('data', (res) => {
+        responses.push(res);
+        if (responses.length === count) {
+            conn.end();
+            cb(responses);
+        }
+    });
+
+    conn.writableWrap.write(req);
+    return conn;
+};
+
+// Send a transfer request, and collect response packets until a packet that
+// ends with the closing SOA-record, or an error.
+const transfer = (t, port, req, cb) => {
+    const conn = net.connect(port);
+    conn.on('error', t.threw);
+    zonemaster.addWrappers(conn, 65535);
+
+    const responses = [];
+    conn.readableWrap.on('data', (res) => {
+        responses.push(res);
+        const first = responses[0].answer[0];
+        const last = res.answer[res.answer.length - 1];
+        const done = responses.length > 1 && last &&
+            last.type === QTYPE.SOA && last.serial === first.serial;
+        if (done || res.header.rcode !== RCODE.NOERROR) {
+            conn.end();
+            cb(responses);
+        }
+    });
+
+    conn.writableWrap.write(req);
+    return conn;
+};
+
+// Send a single question, and collect the given number of response packets.
+const query = (t, port, name, type, count, cb) => {
+    return exchange(t, port, buildQuery(name, type), count, cb);
+};
+
+// Send a single question over UDP, and wait for the response.
+const udpQuery = (t, port, name, type, cb) => {
+    const socket = dgram.createSocket('udp4');
+    socket.on('error', t.threw);
+    socket.on('message', (msg) => {
+        socket.close();
+        cb(zonemaster.parsePacket(msg));
+    });
+
+    const data = zonemaster.writePacket(buildQuery(name, type), 512);
+    socket.send(data, 0, data.length, port, '127.0.0.1');
+    return socket;
+};
+
 t.test('zone transfer', { timeout: 1000 }, (t) => {
     t.plan(6);
 
@@ -111,15 +245,60 @@ t.test('zone transfer', { timeout: 1000 }, (t) => {
 });
 
 t.test('notify', { timeout: 1000 }, (t) => {
-    t.plan(3);
+    t.plan(8);
 
     const notifyFixture = readFixture('notify');
 
     const master = createMaster(t);
     t.type(master, net.Server, 'instance created');
 
-    const slave = createSlave(t, (data) => {
+    master.on('notifyAck', (slave, zoneName) => {
+        t.equal(zoneName, 'test.lan', 'notifyAck emitted');
+    });
+
+    const slave = createSlave(t, (req, conn, raw) => {
+        // The ID is random, so is zero in the fixture.
+        const data = new Buffer(raw);
+        data.writeUInt16BE(0, 2);
         t.same(data, notifyFixture, 'notify received');
+        t.equal(req.answer[0].serial, 2014101601, 'notify includes SOA');
+        return buildResponse(req);
+    });
+
+    slave.listen(() => {
+        const slavePort = slave.address().port;
+        t.teardown(() => slave.close());
+
+        master.setSlaves(['localhost@' + slavePort], (err) => {
+            t.error(err, 'slaves set');
+
+            master.notify((err, results) => {
+                t.error(err, 'notify completed');
+                t.equal(results[0].error, null, 'slave acknowledged');
+            });
+        });
+    });
+});
+
+t.test('notify retries', { timeout: 1000 }, (t) => {
+    t.plan(5);
+
+    const master = createMaster(t);
+    master.params.notifyRetries = 2;
+    master.params.notifyRetryDelay = 10;
+
+    let attempts = 0;
+    const slave = createSlave(t, (req, conn) => {
+        attempts += 1;
+        if (attempts === 1) {
+            conn.destroy();
+            return;
+        }
+
+        const res = buildResponse(req);
+        if (attempts === 2)
+            res.header.id = (req.header.id + 1) & 0xFFFF;
+        return res;
     });
 
     slave.listen(() => {
@@ -129,7 +308,2053 @@ t.test('notify', { timeout: 1000 }, (t) => {
         master.setSlaves(['localhost@' + slavePort], (err) => {
             t.error(err, 'slaves set');
 
-            master.notify();
+            master.notify('test.lan', (err, results) => {
+                t.error(err, 'notify completed');
+                t.equal(attempts, 3, 'retried until acknowledged');
+                t.equal(results[0].error, null, 'slave acknowledged');
+            });
+        });
+    });
+});
+
+t.test('notify unknown zone', (t) => {
+    t.plan(1);
+
+    const master = zonemaster({ domain: 'test.lan' });
+    master.notify('other.lan', (err) => {
+        t.equal(err && err.message, 'Unknown zone: other.lan',
+            'passed to the callback');
+    });
+});
+
+t.test('multiple zones', { timeout: 1000 }, (t) => {
+    t.plan(9);
+
+    const createZone = (name, serial) => ({
+        soaFn(conn, req, cb) {
+            cb(null, buildSoa(name, serial));
+        },
+        bodyFn(conn, req, soa, emit, cb) {
+            emit({
+                class: QCLASS.IN,
+                type: QTYPE.A,
+                name: 'www.' + name,
+                ttl: 3600,
+                address: '127.0.0.1'
+            });
+            cb(null);
+        }
+    });
+
+    const zoneA = createZone('a.lan', 1);
+    zoneA.slaves = ['localhost'];
+    const zoneB = createZone('b.lan', 2);
+    zoneB.slaves = [{ host: 'localhost', whitelist: false }];
+    const zoneC = createZone('c.lan', 3);
+
+    const master = zonemaster({
+        zones: { 'a.lan': zoneA, 'B.lan': zoneB, 'c.lan': zoneC }
+    });
+    master.on('error', t.threw);
+
+    master.listen(() => {
+        const masterPort = master.address().port;
+        t.teardown(() => master.close());
+
+        master.setSlaves(['localhost'], (err) => {
+            t.error(err, 'slaves set');
+
+            query(t, masterPort, 'A.LAN.', QTYPE.SOA, 1, (res) => {
+                t.equal(res[0].header.rcode, RCODE.NOERROR, 'SOA answered');
+                t.equal(res[0].answer[0].serial, 1, 'SOA of the right zone');
+            });
+
+            query(t, masterPort, 'c.lan', QTYPE.AXFR, 3, (res) => {
+                t.equal(res[1].answer[0].name, 'www.c.lan', 'zone transferred');
+                t.equal(res[2].answer[0].serial, 3, 'transfer completed');
+            });
+
+            query(t, masterPort, 'b.lan', QTYPE.AXFR, 1, (res) => {
+                t.equal(res[0].header.rcode, RCODE.REFUSED,
+                    'zone whitelist overrides server-wide whitelist');
+            });
+
+            query(t, masterPort, 'd.lan', QTYPE.SOA, 1, (res) => {
+                t.equal(res[0].header.rcode, RCODE.REFUSED,
+                    'unknown zone refused');
+            });
+
+            query(t, masterPort, 'd.lan', QTYPE.AXFR, 1, (res) => {
+                t.equal(res[0].header.rcode, RCODE.NOTAUTH,
+                    'not authoritative for unknown zone');
+            });
+
+            t.throws(() => master.notify('d.lan'), 'notify of unknown zone');
+        });
+    });
+});
+
+t.test('tsig', { timeout: 1000 }, (t) => {
+    t.plan(13);
+
+    const tsig = zonemaster.tsig;
+    const keys = {
+        'xfr-key.': {
+            algorithm: 'hmac-sha256',
+            secret: new Buffer('zonemaster test secret').toString('base64')
+        }
+    };
+
+    const master = createMaster(t);
+    master.params.keys = keys;
+
+    const slave = createSlave(t, (req) => {
+        const session = tsig.verifyRequest(req.wire, keys);
+        t.equal(session.error, 0, 'notify signed');
+
+        const res = buildResponse(req);
+        res.tsig = session;
+        return res;
+    });
+
+    master.listen(() => {
+        const masterPort = master.address().port;
+        t.teardown(() => master.close());
+
+        master.setSlaves([{ host: 'localhost', key: 'xfr-key' }], (err) => {
+            t.error(err, 'slaves set');
+
+            const req = buildQuery('test.lan', QTYPE.AXFR);
+            const session = new tsig.Session('xfr-key', keys['xfr-key.']);
+            req.tsig = session;
+            exchange(t, masterPort, req, 4, (res) => {
+                const errors = res.map((res) => {
+                    return session.verify(res.wire, tsig.parse(res.wire));
+                });
+                t.same(errors, [0, 0, 0, 0], 'all responses signed');
+            });
+
+            const badReq = buildQuery('test.lan', QTYPE.SOA);
+            badReq.tsig = new tsig.Session('xfr-key', {
+                algorithm: 'hmac-sha256',
+                secret: 'AAAA'
+            });
+            exchange(t, masterPort, badReq, 1, (res) => {
+                t.equal(res[0].header.rcode, RCODE.NOTAUTH, 'bad signature');
+                t.equal(tsig.parse(res[0].wire).error, tsig.BADSIG,
+                    'bad signature error code');
+            });
+
+            query(t, masterPort, 'test.lan', QTYPE.SOA, 1, (res) => {
+                t.equal(res[0].header.rcode, RCODE.REFUSED, 'unsigned refused');
+            });
+
+            slave.listen(() => {
+                const slavePort = slave.address().port;
+                t.teardown(() => slave.close());
+
+                master.setSlaves([
+                    { host: 'localhost', port: slavePort, key: 'xfr-key' }
+                ], (err) => {
+                    t.error(err, 'slaves set');
+                    master.notify((err, results) => {
+                        t.equal(results[0].error, null, 'response verified');
+                    });
+                });
+            });
+        });
+    });
+});
+
+t.test('udp', { timeout: 1000 }, (t) => {
+    t.plan(10);
+
+    const master = createMaster(t);
+
+    master.listen(0, '127.0.0.1', () => {
+        const masterPort = master.address().port;
+        t.teardown(() => master.close());
+
+        master.listenUdp(masterPort, (err) => {
+            t.error(err, 'listening on udp');
+
+            master.setSlaves(['localhost'], (err) => {
+                t.error(err, 'slaves set');
+
+                udpQuery(t, masterPort, 'test.lan', QTYPE.SOA, (res) => {
+                    t.equal(res.answer[0].serial, 2014101601, 'SOA answered');
+                });
+
+                udpQuery(t, masterPort, 'test.lan', QTYPE.AXFR, (res) => {
+                    t.equal(res.header.rcode, RCODE.REFUSED, 'AXFR refused');
+                });
+
+                udpQuery(t, masterPort, 'test.lan', QTYPE.IXFR, (res) => {
+                    t.equal(res.answer.length, 1, 'IXFR answered with SOA');
+                });
+            });
+        });
+    });
+});
+
+t.test('notify over udp', { timeout: 1000 }, (t) => {
+    t.plan(5);
+
+    const master = createMaster(t);
+    master.params.notifyProtocol = 'udp';
+    master.params.notifyRetries = 2;
+    master.params.notifyRetryDelay = 10;
+    master.params.notifyTimeout = 50;
+
+    let attempts = 0;
+    const slave = dgram.createSocket('udp4');
+    slave.on('error', t.threw);
+    slave.on('message', (msg, rinfo) => {
+        // Drop the first message, to test retransmission.
+        if (++attempts === 1)
+            return;
+
+        const data = zonemaster.writePacket(
+            buildResponse(zonemaster.parsePacket(msg)), 512);
+        slave.send(data, 0, data.length, rinfo.port, rinfo.address);
+    });
+
+    slave.bind(0, '127.0.0.1', () => {
+        const slavePort = slave.address().port;
+        t.teardown(() => slave.close());
+
+        master.setSlaves(['127.0.0.1@' + slavePort], (err) => {
+            t.error(err, 'slaves set');
+
+            master.notify((err, results) => {
+                t.error(err, 'notify completed');
+                t.equal(attempts, 2, 'retransmitted');
+                t.equal(results[0].error, null, 'slave acknowledged');
+            });
+        });
+    });
+});
+
+const buildRecord = (name, address) => ({
+    class: QCLASS.IN,
+    type: QTYPE.A,
+    name: name,
+    ttl: 3600,
+    address: address
+});
+
+t.test('ixfr', { timeout: 1000 }, (t) => {
+    t.plan(5);
+
+    const journal = new zonemaster.Journal();
+    journal.record(1, 2, [], [buildRecord('one.test.lan', '127.0.0.1')]);
+    journal.record(2, 3, [buildRecord('one.test.lan', '127.0.0.1')],
+        [buildRecord('two.test.lan', '127.0.0.2')]);
+
+    const master = zonemaster({
+        domain: 'test.lan',
+        journal: journal,
+        soaFn(conn, req, cb) {
+            cb(null, buildSoa('test.lan', 3));
+        },
+        bodyFn(conn, req, soa, emit, cb) {
+            t.pass('bodyFn called');
+            emit(buildRecord('two.test.lan', '127.0.0.2'));
+            cb(null);
+        }
+    });
+    master.on('error', t.threw);
+
+    const ixfr = (serial) => {
+        const req = buildQuery('test.lan', QTYPE.IXFR);
+        req.authority = [buildSoa('test.lan', serial)];
+        return req;
+    };
+
+    // Flatten the answers of responses.
+    const answers = (res) => {
+        return res.reduce((list, res) => list.concat(res.answer), []);
+    };
+
+    master.listen(() => {
+        const masterPort = master.address().port;
+        t.teardown(() => master.close());
+
+        master.setSlaves(['localhost'], (err) => {
+            t.error(err, 'slaves set');
+
+            exchange(t, masterPort, ixfr(1), 3, (res) => {
+                const list = answers(res);
+                t.same(list.map((rr) => rr.serial || rr.name), [
+                    3, 1, 2, 'one.test.lan', 2, 'one.test.lan', 3,
+                    'two.test.lan', 3
+                ], 'difference sequences');
+            });
+
+            exchange(t, masterPort, ixfr(3), 1, (res) => {
+                t.equal(answers(res).length, 1, 'up-to-date');
+            });
+
+            exchange(t, masterPort, ixfr(0), 3, (res) => {
+                t.equal(answers(res)[1].name, 'two.test.lan',
+                    'unknown serial falls back to full transfer');
+            });
+        });
+    });
+});
+
+t.test('journal', (t) => {
+    const journal = new zonemaster.Journal({ limit: 2 });
+    journal.record(1, 2, [], [buildRecord('one.test.lan', '127.0.0.1')]);
+    journal.record(2, 3, [buildRecord('one.test.lan', '127.0.0.1')],
+        [buildRecord('two.test.lan', '127.0.0.2')]);
+    journal.record(3, 4, [buildRecord('TWO.test.lan.', '127.0.0.2')], []);
+    t.equal(journal.oldestSerial, 2, 'retention limit applied');
+
+    journal.condense();
+    t.equal(journal.entries.length, 1, 'condensed to one entry');
+    t.same(journal.entries[0].removed,
+        [buildRecord('one.test.lan', '127.0.0.1')], 'condensed removals');
+    t.same(journal.entries[0].added, [], 'condensed additions cancel out');
+    t.same(journal.getChanges(2, 4), journal.entries, 'condensed range');
+    t.equal(journal.getChanges(3, 4), null, 'intermediate serial dropped');
+
+    journal.record(1, 2, [], []);
+    t.equal(journal.entries.length, 1, 'journal reset on gap');
+    t.end();
+});
+
+t.test('packet packing', { timeout: 1000 }, (t) => {
+    t.plan(8);
+
+    let tooLarge = false;
+    const master = zonemaster({
+        domain: 'test.lan',
+        packetSize: 512,
+        soaFn(conn, req, cb) {
+            cb(null, buildSoa('test.lan', 1));
+        },
+        bodyFn(conn, req, soa, emit, cb) {
+            for (let i = 0; i < 100; i++)
+                emit(buildRecord('host' + i + '.test.lan', '127.0.0.1'));
+            if (tooLarge) {
+                emit({
+                    class: QCLASS.IN,
+                    type: QTYPE.TXT,
+                    name: 'big.test.lan',
+                    ttl: 3600,
+                    data: ['a', 'b', 'c'].map((c) => new Array(201).join(c))
+                });
+            }
+            cb(null);
+        }
+    });
+    master.on('error', (err) => {
+        t.match(err.message, /too large/, 'error for large record');
+    });
+
+    master.listen(() => {
+        const masterPort = master.address().port;
+        t.teardown(() => master.close());
+
+        master.setSlaves(['localhost'], (err) => {
+            t.error(err, 'slaves set');
+
+            const req = buildQuery('test.lan', QTYPE.AXFR);
+            transfer(t, masterPort, req, (res) => {
+                const body = res.slice(1, -1);
+                const count = body.reduce((n, res) => n + res.answer.length, 0);
+                t.equal(count, 100, 'all records transferred');
+                t.ok(res.every((res) => res.wire.length <= 512),
+                    'packets within size');
+                t.ok(body.slice(0, -1).every((res) => res.wire.length > 480),
+                    'packets filled');
+                t.equal(res[res.length - 1].answer[0].type, QTYPE.SOA,
+                    'transfer completed');
+
+                tooLarge = true;
+                transfer(t, masterPort, req, (res) => {
+                    const last = res[res.length - 1];
+                    t.equal(last.header.rcode, RCODE.SERVFAIL,
+                        'transfer failed');
+                    t.ok(res.every((res) => res.wire.length <= 512),
+                        'packets within size');
+                });
+            });
+        });
+    });
+});
+
+t.test('large packets', { timeout: 5000 }, (t) => {
+    t.plan(3);
+
+    const zone = new zonemaster.Zone('test.lan');
+    for (let i = 0; i < 3000; i++)
+        zone.add(buildRecord('host' + i + '.test.lan', '127.0.0.1'));
+    zone.commit();
+
+    const master = zonemaster({
+        zones: { 'test.lan': zone },
+        packetSize: 65535,
+        acl: { transfer: { allow: ['127.0.0.1'] } }
+    });
+    master.on('error', t.threw);
+
+    master.listen(0, '127.0.0.1', () => {
+        const port = master.address().port;
+        t.teardown(() => master.close());
+
+        const req = buildQuery('test.lan', QTYPE.AXFR);
+        transfer(t, port, req, (res) => {
+            const count = res.reduce((n, res) => n + res.answer.length, 0);
+            t.equal(count, 3002, 'all records transferred');
+            t.ok(res.every((res) => res.wire.length <= 16384),
+                'packets within the compression limit');
+            t.ok(res.some((res) => res.wire.length > 16000),
+                'packets filled');
+        });
+    });
+});
+
+t.test('in-memory zone', { timeout: 1000 }, (t) => {
+    t.plan(11);
+
+    const zone = new zonemaster.Zone('Test.lan.', {
+        serial: 10,
+        journal: true
+    });
+    zone.add([
+        buildRecord('one.test.lan', '127.0.0.1'),
+        buildRecord('two.test.lan', '127.0.0.2')
+    ]);
+    t.equal(zone.records().length, 0, 'changes are staged');
+    t.equal(zone.commit(), 11, 'serial bumped on commit');
+    t.equal(zone.commit(), 11, 'serial unchanged without changes');
+
+    const master = zonemaster({ zones: { 'test.lan': zone } });
+    master.on('error', t.threw);
+
+    const slave = createSlave(t, (req) => {
+        t.equal(req.answer[0].serial, 12, 'notify sent after commit');
+        return buildResponse(req);
+    });
+
+    master.listen(() => {
+        const masterPort = master.address().port;
+        t.teardown(() => master.close());
+
+        slave.listen(() => {
+            const slavePort = slave.address().port;
+            t.teardown(() => slave.close());
+
+            master.setSlaves(['localhost@' + slavePort], (err) => {
+                t.error(err, 'slaves set');
+
+                zone.remove(buildRecord('ONE.test.lan', '127.0.0.1'));
+                zone.replace('three.test.lan', QTYPE.A, [
+                    buildRecord('three.test.lan', '127.0.0.3')
+                ]);
+                zone.commit();
+
+                const axfr = buildQuery('test.lan', QTYPE.AXFR);
+                transfer(t, masterPort, axfr, (res) => {
+                    const names = res[1].answer.map((rr) => rr.name).sort();
+                    t.same(names, ['three.test.lan', 'two.test.lan'],
+                        'committed records transferred');
+                });
+
+                const ixfr = buildQuery('test.lan', QTYPE.IXFR);
+                ixfr.authority = [buildSoa('test.lan', 11)];
+                transfer(t, masterPort, ixfr, (res) => {
+                    t.equal(res[1].answer.length, 4, 'changes from journal');
+                });
+            });
+        });
+    });
+
+    t.equal(zonemaster.serialCompare(0xFFFFFFFF, 1), -1, 'serial wraps');
+    t.equal(zonemaster.serialCompare(0x80000000, 0), 1,
+        'serial half apart follows');
+    t.equal(zonemaster.serialCompare(0, 0x80000000), 1,
+        'serial half apart follows either way');
+    t.equal(zonemaster.serialAdd(0xFFFFFFFF, 2), 1, 'serial addition wraps');
+});
+
+t.test('zone file', { timeout: 1000 }, (t) => {
+    t.plan(9);
+
+    const text = [
+        '$ORIGIN test.lan.',
+        '$TTL 1h',
+        '@  IN  SOA  ns hostmaster.test.lan. (',
+        '        10   ; serial',
+        '        1h 15m 2w 1h )',
+        '   NS   ns',
+        'ns 300 IN A 127.0.0.1',
+        '   IN 60 AAAA ::1',
+        'txt  TXT  "hello \\"world\\"" "\\065b;c"',
+        'mail  MX  10 ns.test.lan.',
+        'unk  TYPE65280  \\# 2 beef',
+        '$INCLUDE include.zone sub'
+    ].join('\n');
+    const file = path.join(__dirname, 'fixtures', 'test.zone');
+
+    const records = zonemaster.zonefile.parse(text, { file: file });
+    t.same(records[0], {
+        class: QCLASS.IN, type: QTYPE.SOA, name: 'test.lan', ttl: 3600,
+        primary: 'ns.test.lan', admin: 'hostmaster.test.lan', serial: 10,
+        refresh: 3600, retry: 900, expiration: 1209600, minimum: 3600
+    }, 'SOA parsed');
+    t.same(records.map((rr) => rr.name), ['test.lan', 'test.lan',
+        'ns.test.lan', 'ns.test.lan', 'txt.test.lan', 'mail.test.lan',
+        'unk.test.lan', 'www.sub.test.lan'], 'relative names resolved');
+    t.same(records.map((rr) => rr.ttl), [3600, 3600, 300, 60, 3600, 3600,
+        3600, 3600], 'TTLs applied');
+    t.same(records[4].data, ['hello "world"', 'Ab;c'], 'TXT strings decoded');
+    t.same(records[6].data, new Buffer('beef', 'hex'), 'generic data parsed');
+
+    const serialized = zonemaster.zonefile.serialize(records, {
+        origin: 'test.lan'
+    });
+    t.same(zonemaster.zonefile.parse(serialized), records,
+        'serialized records parse back');
+
+    t.throws(() => zonemaster.zonefile.parse('\n@ 60 A 127.0.0.256'),
+        /^<input>:2: Invalid IPv4/, 'error with line number');
+
+    const zone = new zonemaster.Zone('test.lan', { serial: 5 });
+    zone.add(records.slice(1));
+    zone.commit();
+    zonemaster.zonefile.dump(zone, { sort: true }, (err, text) => {
+        t.error(err, 'zone dumped');
+        t.equal(text.split('\n')[1].split('\t')[3], 'SOA',
+            'SOA written first');
+    });
+});
+
+t.test('records', { timeout: 1000 }, (t) => {
+    t.plan(6);
+
+    const records = zonemaster.records;
+    const options = { origin: 'Test.LAN.', ttl: 300 };
+    t.same(records.mx('@', 10, 'Mail', options), {
+        class: QCLASS.IN, type: QTYPE.MX, name: 'test.lan', ttl: 300,
+        priority: 10, exchange: 'mail.test.lan'
+    }, 'names normalized against the origin');
+
+    const all = [
+        records.a('www', '127.0.0.1', options),
+        records.aaaa('www', '::1', options),
+        records.ns('@', 'ns.example.net.', options),
+        records.cname('ftp', 'www', options),
+        records.txt('txt', ['hello', 'x'.repeat(300)], options),
+        records.srv('_sip._tcp', 0, 5, 5060, 'www', options),
+        records.caa('@', 0, 'issue', 'ca.example.net', options),
+        records.ptr('1.0.0.127.in-addr.arpa.', 'www', options),
+        records.soa('@', {
+            primary: 'ns', admin: 'hostmaster@test.lan', serial: 1,
+            refresh: 3600, retry: 900, expiration: 1209600, minimum: 300
+        }, options),
+        records.ds('sub', 12345, 13, 2, 'ab'.repeat(32), options),
+        records.dnskey('@', 257, 13, new Buffer(64).fill(1), options)
+    ];
+    t.same(all.map((record) => {
+        return records.fromText(records.toText(record, 'test.lan'), options);
+    }), all, 'presentation format parses back');
+    t.same(all[4].data.map((str) => str.length), [5, 255, 45],
+        'long TXT strings split');
+
+    t.throws(() => records.mx('@', 65536, 'mail', options),
+        /^Invalid priority/, 'fields validated');
+    t.equal(records.normalizeName('WWW.Ünï.Test.', options.origin),
+        'www.Ünï.test', 'only ASCII letters folded');
+
+    const zone = new zonemaster.Zone('Test.Lan.', { serial: 7 });
+    zone.add(all.slice(0, 2)).commit();
+    const master = zonemaster({
+        zones: { 'Test.LAN.': zone },
+        acl: { query: { allow: ['127.0.0.1'] } }
+    });
+    master.on('error', t.threw);
+    master.listen(0, '127.0.0.1', () => {
+        t.teardown(() => master.close());
+        query(t, master.address().port, 'tEST.lAN.', QTYPE.SOA, 1, (res) => {
+            t.equal(res[0].answer[0].serial, zone.serial,
+                'query name normalized');
+        });
+    });
+});
+
+t.test('acl', { timeout: 1000 }, (t) => {
+    t.plan(15);
+
+    const local = ['127.0.0.0/8', '::1'];
+    const zoneA = new zonemaster.Zone('a.lan');
+    zoneA.add(buildRecord('www.a.lan', '127.0.0.1')).commit();
+    const zoneB = new zonemaster.Zone('b.lan');
+    zoneB.acl = { transfer: { deny: ['0.0.0.0/0', '::/0'] } };
+
+    const access = {};
+    const master = zonemaster({
+        zones: { 'a.lan': zoneA, 'b.lan': zoneB },
+        acl: { transfer: { allow: local }, notify: { deny: local } },
+        logFn(conn, req, result) {
+            access[req.question[0].name + '/' + req.question[0].type] = result;
+        }
+    });
+    master.on('error', t.threw);
+
+    master.listen(() => {
+        const masterPort = master.address().port;
+        t.teardown(() => master.close());
+
+        // Check requests before slaves are set.
+        query(t, masterPort, 'a.lan', QTYPE.AXFR, 3, (res) => {
+            t.equal(res[1].answer[0].name, 'www.a.lan',
+                'transfer allowed by ACL');
+            t.same(access['a.lan/' + QTYPE.AXFR],
+                { allowed: true, reason: 'acl' }, 'allowed access logged');
+
+            query(t, masterPort, 'a.lan', QTYPE.SOA, 1, (res) => {
+                t.equal(res[0].header.rcode, RCODE.REFUSED, 'query refused');
+                t.same(access['a.lan/' + QTYPE.SOA],
+                    { allowed: false, reason: 'unlisted' }, 'refusal logged');
+
+                query(t, masterPort, 'b.lan', QTYPE.AXFR, 1, (res) => {
+                    t.equal(res[0].header.rcode, RCODE.REFUSED,
+                        'zone ACL overrides server-wide ACL');
+                    checkNotify();
+                });
+            });
+        });
+
+        const checkNotify = () => {
+            master.setSlaves(['localhost'], (err) => {
+                t.error(err, 'slaves set');
+                master.notify('a.lan', (err, results) => {
+                    t.error(err, 'notify completed');
+                    t.equal(results.length, 0, 'denied slaves not notified');
+                });
+            });
+        };
+    });
+
+    t.ok(zonemaster.acl.contains(['2001:db8::/32'], '2001:db8:1::1'),
+        'IPv6 prefix matched');
+    t.ok(zonemaster.acl.contains(['10.0.0.0/8'], '::ffff:10.1.2.3'),
+        'IPv4 mapped address matched');
+    t.notOk(zonemaster.acl.contains(['10.128.0.0/9'], '10.1.2.3'),
+        'address outside prefix');
+
+    // Invalid entries throw up front, instead of on every request.
+    const typo = { transfer: { allow: ['10.0.0.0/8', '192.168.1'] } };
+    t.throws(() => zonemaster({ domain: 'test.lan', acl: typo }),
+        /Invalid ACL entry: 192\.168\.1/, 'server ACL checked');
+    t.throws(() => zonemaster({ zones: { 'test.lan': { acl: typo } } }),
+        /Invalid ACL entry/, 'zone ACL checked');
+    const other = zonemaster({ zones: {} });
+    t.throws(() => other.addZone('test.lan', { acl: typo }),
+        /Invalid ACL entry/, 'added zone ACL checked');
+    t.throws(() => other.reload({ zones: {}, acl: { query: { deny: '::1' } } }),
+        /Invalid ACL list: query\.deny/, 'reloaded ACL checked');
+});
+
+t.test('slave refresh', { timeout: 1000 }, (t) => {
+    t.plan(8);
+
+    const master = zonemaster({
+        domain: 'test.lan',
+        slaveRefreshInterval: 10,
+        soaFn() {},
+        bodyFn() {}
+    });
+    master.on('error', t.threw);
+
+    master.setSlaves(['localhost'], (err) => {
+        t.error(err, 'slaves set');
+
+        // Pretend the slave moved, and check it is found again.
+        const slave = master.slaves[0];
+        const addresses = slave.addresses;
+        slave.addresses = ['192.0.2.1'];
+        master.slavesByIp = zonemaster.indexSlaves(master.slaves);
+
+        master.once('slaveChange', (changed, previous, zoneName) => {
+            t.equal(changed, slave, 'change emitted');
+            t.same(previous, ['192.0.2.1'], 'previous addresses passed');
+            t.equal(zoneName, undefined, 'server-wide slave');
+            t.same(master.slavesByIp[addresses[0]], slave, 'index swapped');
+            t.notOk(master.slavesByIp['192.0.2.1'], 'old address removed');
+
+            // Keep addresses when the lookup fails.
+            slave.host = 'zonemaster.invalid';
+            master.once('slaveLookupFail', (err) => {
+                t.equal(err.code, 'ENOTFOUND', 'lookup failure emitted');
+                master.refreshSlaves(() => {
+                    t.same(slave.addresses, addresses,
+                        'last good addresses kept');
+                    master.close();
+                });
+            });
+        });
+
+        master.listen();
+    });
+});
+
+t.test('backpressure', { timeout: 2000 }, (t) => {
+    t.plan(6);
+
+    const count = 1000;
+    const createRecord = (i) => buildRecord('r' + i + '.test.lan', '127.0.0.1');
+
+    // Run a transfer against a slow writable, which only takes a few packets
+    // at a time. Returns an object tracking the number of records written.
+    const slowTransfer = (bodyFn, cb) => {
+        const params = {
+            domain: 'test.lan',
+            batchSize: 10,
+            soaFn(conn, req, cb) {
+                cb(null, buildSoa('test.lan', 1));
+            },
+            bodyFn: bodyFn
+        };
+
+        const state = { records: 0, packets: 0 };
+        const readable = new stream.PassThrough({ objectMode: true });
+        const writable = new stream.Writable({
+            objectMode: true,
+            highWaterMark: 2,
+            write(pkt, unused, done) {
+                if (pkt.answer[0].type !== QTYPE.SOA)
+                    state.records += pkt.answer.length;
+                else if (state.packets)
+                    cb(state.records);
+                state.packets += 1;
+                setImmediate(done);
+            }
+        });
+
+        zonemaster.processStream({}, readable, writable, params, t.threw);
+        readable.end(buildQuery('test.lan', QTYPE.AXFR));
+        return state;
+    };
+
+    // Emit records as long as possible, then wait for a drain.
+    let waits = 0;
+    slowTransfer((conn, req, soa, emit, cb) => {
+        let i = 0;
+        const next = () => {
+            while (i < count) {
+                if (!emit(createRecord(i++))) {
+                    waits += 1;
+                    return emit.drain(next);
+                }
+            }
+            cb(null);
+        };
+        next();
+    }, (records) => {
+        t.equal(records, count, 'all records emitted');
+        t.ok(waits > 0, 'emit waited for drain');
+    });
+
+    // Return a stream of records.
+    let pauses = 0;
+    slowTransfer(() => {
+        let i = 0;
+        const body = new stream.Readable({
+            objectMode: true,
+            read() {
+                this.push(i < count ? createRecord(i++) : null);
+            }
+        });
+        body.on('pause', () => pauses++);
+        return body;
+    }, (records) => {
+        t.equal(records, count, 'stream transferred');
+        t.ok(pauses > 0, 'stream paused');
+    });
+
+    // Return an async iterable of records.
+    let pulled = 0;
+    let maxAhead = 0;
+    let state;
+    state = slowTransfer(() => {
+        const iterable = {};
+        iterable[Symbol.asyncIterator] = () => ({
+            next: () => {
+                const written = state ? state.records : 0;
+                maxAhead = Math.max(maxAhead, pulled - written);
+                return Promise.resolve(pulled < count ?
+                    { done: false, value: createRecord(pulled++) } :
+                    { done: true });
+            }
+        });
+        return iterable;
+    }, (records) => {
+        t.equal(records, count, 'async iterable transferred');
+        t.ok(maxAhead < count, 'iterable paused');
+    });
+});
+
+t.test('promise api', { timeout: 1000 }, (t) => {
+    t.plan(8);
+
+    const records = [
+        buildRecord('one.test.lan', '127.0.0.1'),
+        buildRecord('two.test.lan', '127.0.0.2')
+    ];
+
+    // Resolve the SOA-record, and iterate the body.
+    const promiseZone = {
+        soaFn() {
+            return Promise.resolve(buildSoa('test.lan', 1));
+        },
+        bodyFn() {
+            let i = 0;
+            const iterable = {};
+            iterable[Symbol.asyncIterator] = () => ({
+                next: () => Promise.resolve(i < records.length ?
+                    { done: false, value: records[i++] } : { done: true })
+            });
+            return iterable;
+        }
+    };
+
+    // Throw from soaFn.
+    const throwZone = {
+        soaFn() {
+            throw new Error('soaFn threw');
+        },
+        bodyFn() {}
+    };
+
+    // Reject from bodyFn.
+    const rejectZone = {
+        soaFn() {
+            return Promise.resolve(buildSoa('reject.lan', 1));
+        },
+        bodyFn() {
+            return Promise.reject(new Error('bodyFn rejected'));
+        }
+    };
+
+    const master = zonemaster({
+        zones: {
+            'test.lan': promiseZone,
+            'throw.lan': throwZone,
+            'reject.lan': rejectZone
+        }
+    });
+
+    const errors = [];
+    master.on('error', (err) => errors.push(err.message));
+
+    master.listen(() => {
+        const masterPort = master.address().port;
+        t.teardown(() => master.close());
+
+        master.setSlaves([{ host: 'localhost', notify: false }], (err) => {
+            t.error(err, 'slaves set');
+
+            const req = buildQuery('test.lan', QTYPE.AXFR);
+            transfer(t, masterPort, req, (res) => {
+                t.same(res[1].answer.map((rr) => rr.name),
+                    ['one.test.lan', 'two.test.lan'], 'records transferred');
+                t.equal(res[2].answer[0].serial, 1, 'transfer completed');
+
+                query(t, masterPort, 'throw.lan', QTYPE.SOA, 1, (res) => {
+                    t.equal(res[0].header.rcode, RCODE.SERVFAIL,
+                        'thrown error answered with SERVFAIL');
+
+                    query(t, masterPort, 'reject.lan', QTYPE.AXFR, 2, (res) => {
+                        t.equal(res[1].header.rcode, RCODE.SERVFAIL,
+                            'rejection answered with SERVFAIL');
+                        t.same(errors, ['soaFn threw', 'bodyFn rejected'],
+                            'errors emitted');
+
+                        master.notify('throw.lan', (err) => {
+                            t.equal(err.message, 'soaFn threw',
+                                'notify fails on thrown error');
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    const dumpOptions = { origin: 'test.lan' };
+    zonemaster.zonefile.dump(promiseZone, dumpOptions, (err, text) => {
+        t.ok(!err && text.indexOf('two\t') !== -1, 'zone dumped');
+    });
+});
+
+t.test('transfer stats', { timeout: 1000 }, (t) => {
+    t.plan(11);
+
+    const zone = new zonemaster.Zone('test.lan', { serial: 1 });
+    zone.add([
+        buildRecord('one.test.lan', '127.0.0.1'),
+        buildRecord('two.test.lan', '127.0.0.2')
+    ]).commit();
+
+    const master = zonemaster({
+        zones: { 'test.lan': zone },
+        slaveLagTimeout: 20
+    });
+    master.on('error', t.threw);
+
+    const slave = createSlave(t, (req) => buildResponse(req));
+
+    const events = [];
+    master.on('transferStart', (info) => events.push('start ' + info.type));
+    master.on('transferEnd', (info) => events.push('end ' + info.type));
+
+    master.listen(() => {
+        const masterPort = master.address().port;
+        t.teardown(() => master.close());
+
+        slave.listen(() => {
+            const slavePort = slave.address().port;
+            t.teardown(() => slave.close());
+
+            master.setSlaves(['localhost@' + slavePort], (err) => {
+                t.error(err, 'slaves set');
+
+                const req = buildQuery('test.lan', QTYPE.AXFR);
+                transfer(t, masterPort, req, () => {
+                    const stats = master.getStats();
+                    t.equal(stats.transfers, 1, 'transfer counted');
+                    t.equal(stats.records, 2, 'records counted');
+                    t.ok(stats.bytes > 0, 'bytes counted');
+
+                    const state = stats.slaves[0];
+                    t.equal(state.port, slavePort, 'slave state tracked');
+                    t.equal(state.serial, 2, 'serial tracked');
+                    t.ok(state.lastSuccess instanceof Date, 'time tracked');
+                    t.same(events, ['start AXFR', 'end AXFR'],
+                        'events emitted');
+
+                    // Change the zone, and don't transfer in time.
+                    master.once('notifyAck', () => {
+                        t.notOk(master.getStats().slaves[0].lagging,
+                            'not lagging right after notify');
+                        setTimeout(checkLagging, 30);
+                    });
+                    zone.add(buildRecord('three.test.lan', '127.0.0.3'));
+                    zone.commit();
+                });
+
+                const checkLagging = () => {
+                    t.ok(master.getStats().slaves[0].lagging, 'lagging');
+                    transfer(t, masterPort, req, () => {
+                        t.notOk(master.getStats().slaves[0].lagging,
+                            'caught up');
+                    });
+                };
+            });
+        });
+    });
+});
+
+t.test('client', { timeout: 1000 }, (t) => {
+    t.plan(10);
+
+    const keys = {
+        'xfr-key': {
+            algorithm: 'hmac-sha256',
+            secret: new Buffer('zonemaster test secret').toString('base64')
+        }
+    };
+
+    const zone = new zonemaster.Zone('test.lan', { serial: 1, journal: true });
+    for (let i = 0; i < 50; i++)
+        zone.add(buildRecord('r' + i + '.test.lan', '127.0.0.1'));
+    zone.commit();
+    zone.remove(buildRecord('r0.test.lan', '127.0.0.1'));
+    zone.add(buildRecord('new.test.lan', '127.0.0.2'));
+    zone.commit();
+
+    const master = zonemaster({
+        zones: { 'test.lan': zone },
+        batchSize: 10,
+        keys: keys
+    });
+    master.on('error', t.threw);
+
+    master.listen(() => {
+        const port = master.address().port;
+        t.teardown(() => master.close());
+
+        master.setSlaves([{ host: 'localhost', notify: false }], (err) => {
+            t.error(err, 'slaves set');
+
+            const client = zonemaster.client;
+            const axfr = { port, name: 'test.lan', key: 'xfr-key', keys };
+            client.transfer(axfr, (err, res) => {
+                t.error(err, 'signed transfer completed');
+                t.equal(res.soa.serial, 3, 'SOA returned');
+                t.equal(res.records.length, 50, 'records returned');
+            });
+
+            const ixfr = { port, name: 'test.lan', type: 'IXFR', serial: 2 };
+            client.transfer(ixfr, (err, res) => {
+                t.error(err, 'incremental transfer completed');
+                t.same(res.changes.map((entry) => {
+                    return [entry.fromSerial, entry.toSerial,
+                        entry.removed.length, entry.added.length];
+                }), [[2, 3, 1, 1]], 'changes returned');
+            });
+
+            const upToDate = Object.assign({}, ixfr, { serial: 3 });
+            client.transfer(upToDate, (err, res) => {
+                t.ok(!err && res.incremental && !res.changes.length,
+                    'already up-to-date');
+            });
+
+            // Reuse a connection for several requests.
+            const conn = net.connect(port);
+            t.teardown(() => conn.destroy());
+            const soaQuery = { connection: conn, name: 'test.lan' };
+            client.querySoa(soaQuery, (err, soa) => {
+                t.error(err, 'SOA queried');
+                t.equal(soa.serial, 3, 'SOA serial returned');
+
+                const stream = client.createStream({
+                    connection: conn,
+                    name: 'unknown.lan'
+                });
+                stream.on('error', (err) => {
+                    t.equal(err.rcode, RCODE.NOTAUTH, 'error rcode returned');
+                });
+            });
+        });
+    });
+});
+
+t.test('transfer limits', { timeout: 2000 }, (t) => {
+    t.plan(8);
+
+    const master = zonemaster({
+        domain: 'test.lan',
+        acl: { transfer: { allow: ['127.0.0.1'] } },
+        maxTransfers: 1,
+        axfrInterval: 10000,
+        transferTimeout: 50,
+        idleTimeout: 200,
+        soaFn(conn, req, cb) {
+            cb(null, buildSoa('test.lan', 1));
+        },
+        bodyFn() {
+            // Never finishes.
+        }
+    });
+    master.on('error', t.threw);
+
+    const refusals = [];
+    master.on('transferRefused', (info, reason) => refusals.push(reason));
+    master.on('transferTimeout', (info) => {
+        t.equal(info.error.code, 'ETIMEDOUT', 'transfer timed out');
+    });
+
+    master.listen(0, '127.0.0.1', () => {
+        const port = master.address().port;
+        t.teardown(() => master.close());
+
+        const req = buildQuery('test.lan', QTYPE.AXFR);
+        exchange(t, port, req, 2, (responses) => {
+            t.equal(responses[1].header.rcode, RCODE.SERVFAIL,
+                'SERVFAIL after transfer timeout');
+            t.equal(master.getStats().active, 0, 'transfer ended');
+
+            exchange(t, port, req, 1, (responses) => {
+                t.equal(responses[0].header.rcode, RCODE.REFUSED,
+                    'AXFR interval enforced');
+                t.same(refusals, ['maxTransfers', 'axfrInterval'],
+                    'refusals emitted');
+
+                // Idle connections are closed.
+                master.once('idleTimeout', () => t.pass('idle timeout'));
+                const conn = net.connect(port, '127.0.0.1');
+                conn.on('error', t.threw);
+                conn.on('close', () => t.pass('idle connection closed'));
+            });
+        });
+
+        // Request a second transfer while the first is running.
+        master.once('transferStart', () => {
+            exchange(t, port, req, 1, (responses) => {
+                t.equal(responses[0].header.rcode, RCODE.SERVFAIL,
+                    'concurrent transfers limited');
+            });
+        });
+    });
+});
+
+t.test('validation', { timeout: 1000 }, (t) => {
+    t.plan(6);
+
+    const ns = (name, target) => ({
+        class: QCLASS.IN, type: QTYPE.NS, name, ttl: 3600, data: target
+    });
+    const cname = (name, target) => ({
+        class: QCLASS.IN, type: QTYPE.CNAME, name, ttl: 3600, data: target
+    });
+    const records = [
+        buildSoa('test.lan', 1),
+        ns('test.lan', 'ns.test.lan'),
+        buildRecord('ns.test.lan', '127.0.0.1'),
+        ns('sub.test.lan', 'ns.sub.test.lan'),
+        buildRecord('www.test.lan', '127.0.0.2'),
+        Object.assign(buildRecord('WWW.test.lan.', '127.0.0.2'), { ttl: 60 }),
+        cname('www.test.lan', 'other.example'),
+        buildRecord('www.example', '127.0.0.3')
+    ];
+
+    const problems = zonemaster.validateZone('test.lan', records);
+    t.same(problems.map((problem) => problem.code),
+        ['duplicate', 'cname', 'outOfZone', 'glue'], 'problems found');
+    t.equal(problems[3].record, records[3], 'problem record returned');
+
+    const master = zonemaster({
+        domain: 'test.lan',
+        validate: 'drop',
+        soaFn(conn, req, cb) {
+            cb(null, buildSoa('test.lan', 1));
+        },
+        bodyFn(conn, req, soa, emit, cb) {
+            records.slice(1).forEach(emit);
+            cb(null);
+        }
+    });
+
+    const dropped = [];
+    master.on('invalidRecord', (problem) => dropped.push(problem.code));
+    master.once('error', (err) => {
+        t.same(err.problems.map((problem) => problem.code), ['duplicate'],
+            'error has problems');
+    });
+
+    master.listen(() => {
+        const port = master.address().port;
+        t.teardown(() => master.close());
+
+        const req = buildQuery('test.lan', QTYPE.AXFR);
+        master.setSlaves(['127.0.0.1'], () => {
+            transfer(t, port, req, (responses) => {
+                const answers = [].concat.apply([], responses.map((res) => {
+                    return res.answer;
+                }));
+                t.equal(answers.length, 6, 'invalid records dropped');
+                t.same(dropped, ['duplicate', 'cname', 'outOfZone', 'glue'],
+                    'warnings emitted');
+
+                master.params.validate = 'abort';
+                transfer(t, port, req, (responses) => {
+                    const last = responses[responses.length - 1];
+                    t.equal(last.header.rcode, RCODE.SERVFAIL,
+                        'transfer aborted');
+                });
+            });
+        });
+    });
+});
+
+t.test('dnssec', { timeout: 2000 }, (t) => {
+    t.plan(9);
+
+    const dnssec = zonemaster.dnssec;
+    const RRSIG = QTYPE.RRSIG;
+    const NSEC = QTYPE.NSEC;
+
+    // Keys and signature from the examples of RFC 6605 and RFC 8080.
+    const ecdsaKey = dnssec.loadKey([
+        'Private-key-format: v1.2',
+        'Algorithm: 13 (ECDSAP256SHA256)',
+        'PrivateKey: GU6SnQ/Ou+xC5RumuIUIuJZteXT2z0O/ok1s38Et6mQ='
+    ].join('\n'), { ksk: true });
+    t.equal(ecdsaKey.tag, 55648, 'ECDSA key tag');
+    const pemKey = dnssec.loadKey(ecdsaKey.privateKey, { ksk: true });
+    t.equal(pemKey.tag, 55648, 'PEM key loaded');
+
+    // NSEC3 owner name from the example of RFC 5155.
+    const nsec3Signer = new zonemaster.Signer({
+        keys: [ecdsaKey],
+        nsec3: { iterations: 12, salt: 'aabbccdd' }
+    });
+    const nsec3 = nsec3Signer.sign('example', buildSoa('example', 1), [])
+        .find((record) => record.type === QTYPE.NSEC3);
+    t.equal(nsec3.name, '0p9mhaveqvm6t7vbl5lop2u3t2rp3tom.example',
+        'NSEC3 chain built');
+
+    // Build an NSEC chain, and cache signatures of unchanged RRsets.
+    const zoneSigner = new zonemaster.Signer({ keys: [ecdsaKey] });
+    const records = [
+        buildRecord('www.test.lan', '127.0.0.1'),
+        buildRecord('a.test.lan', '127.0.0.2')
+    ];
+    const first = zoneSigner.sign(
+        'test.lan', buildSoa('test.lan', 1), records);
+    const nsecs = first.filter((record) => record.type === NSEC);
+    t.same(nsecs.map((record) => record.name),
+        ['test.lan', 'a.test.lan', 'www.test.lan'], 'NSEC chain built');
+
+    const second = zoneSigner.sign(
+        'test.lan', buildSoa('test.lan', 2), records);
+    const sigOf = (list, name) => list.find((record) => {
+        return record.type === RRSIG && record.name === name &&
+            record.data.readUInt16BE(0) === QTYPE.A;
+    }).data;
+    t.ok(sigOf(first, 'www.test.lan').equals(sigOf(second, 'www.test.lan')),
+        'unchanged RRset not signed again');
+
+    // Read flags from a BIND public key file.
+    const dir = tempDir(t);
+    const keyFile = path.join(dir, 'Kexample.net.+013+55648.private');
+    fs.writeFileSync(keyFile,
+        'Algorithm: 13\nPrivateKey: ' +
+        'GU6SnQ/Ou+xC5RumuIUIuJZteXT2z0O/ok1s38Et6mQ=\n');
+    fs.writeFileSync(keyFile.replace(/private$/, 'key'),
+        '; This is a key-signing key\nexample.net. IN DNSKEY 257 3 13 ' +
+        'GojIhhXUN/u4v54ZQqGSnyhWJwaubCvTmeexv7bR6edbkrSqQpF64cYbcB7w' +
+        'NcP+e+MAnLr+Wi9xMWyQLc8NAA==\n');
+    dnssec.loadKeyFile(keyFile, (err, key) => {
+        t.ok(!err && key.ksk, 'key file loaded');
+    });
+
+    // Sign a transfer.
+    const master = zonemaster({
+        domain: 'test.lan',
+        dnssec: zoneSigner,
+        soaFn(conn, req, cb) {
+            cb(null, buildSoa('test.lan', 3));
+        },
+        bodyFn(conn, req, soa, emit, cb) {
+            records.forEach(emit);
+            cb(null);
+        }
+    });
+    master.on('error', t.threw);
+
+    master.listen(() => {
+        const port = master.address().port;
+        t.teardown(() => master.close());
+
+        master.setSlaves(['127.0.0.1'], () => {
+            const req = buildQuery('test.lan', QTYPE.AXFR);
+            transfer(t, port, req, (responses) => {
+                const answers = [].concat.apply([], responses.map((res) => {
+                    return res.answer;
+                }));
+                const count = (type) => answers.filter((record) => {
+                    return record.type === type;
+                }).length;
+                t.equal(count(QTYPE.DNSKEY), 1, 'DNSKEY added');
+                t.equal(count(NSEC), 3, 'NSEC records added');
+                // SOA, DNSKEY, NSEC and A RRsets.
+                t.equal(count(RRSIG), 7, 'RRsets signed');
+            });
+        });
+    });
+});
+
+t.test('dnssec ed25519', {
+    timeout: 1000,
+    skip: typeof(require('crypto').sign) !== 'function' &&
+        'Ed25519 needs Node.js 12 or newer'
+}, (t) => {
+    t.plan(2);
+
+    // Key and signature from the examples of RFC 8080.
+    const key = zonemaster.dnssec.loadKey([
+        'Private-key-format: v1.2',
+        'Algorithm: 15 (ED25519)',
+        'PrivateKey: ODIyNjAzODQ2MjgwODAxMjI2NDUxOTAyMDQxNDIyNjI='
+    ].join('\n'), { ksk: true });
+    t.equal(key.tag, 3613, 'Ed25519 key tag');
+
+    const soa = Object.assign(buildSoa('example.com', 1), { minimum: 300 });
+    const mx = {
+        class: QCLASS.IN,
+        type: QTYPE.MX,
+        name: 'example.com',
+        ttl: 3600,
+        priority: 10,
+        exchange: 'mail.example.com'
+    };
+    const signer = new zonemaster.Signer({
+        keys: [key],
+        validity: 1440021600 - 1438207200,
+        inceptionOffset: 0
+    });
+    const signed = signer.sign('example.com', soa, [mx], 1438207200);
+    const mxSig = signed.find((record) => {
+        return record.type === QTYPE.RRSIG &&
+            record.data.readUInt16BE(0) === QTYPE.MX;
+    });
+    t.equal(mxSig.data.slice(-64).toString('base64'),
+        'oL9krJun7xfBOIWcGHi7mag5/hdZrKWw15jPGrHpjQeRAvTdszaPD+QLs3f' +
+        'x8A4M3e23mRZ9VrbpMngwcrqNAg==', 'Ed25519 signature');
+});
+
+t.test('cli', { timeout: 10000 }, (t) => {
+    t.plan(9);
+
+    const cli = quietCli(t);
+    const client = zonemaster.client;
+    const dir = tempDir(t);
+    const configFile = path.join(dir, 'config.json');
+    const zoneFile = path.join(dir, 'test.lan.zone');
+    const jsonFile = path.join(dir, 'test.net.json');
+
+    const writeZone = (records) => {
+        fs.writeFileSync(zoneFile, [
+            '$ORIGIN test.lan.',
+            '$TTL 300',
+            '@  SOA ns1 hostmaster 10 3600 900 1209600 300',
+            '@  NS  ns1'
+        ].concat(records).join('\n') + '\n');
+    };
+    writeZone(['www  A  127.0.0.1']);
+    fs.writeFileSync(jsonFile, JSON.stringify({
+        soa: { serial: 5 },
+        ttl: 60,
+        records: [{ name: 'test.net', type: 'A', address: '127.0.0.2' }]
+    }));
+
+    const config = {
+        listen: { port: 0, address: '127.0.0.1', udp: false },
+        watchInterval: 50,
+        acl: { transfer: { allow: ['127.0.0.1'] } },
+        zones: { 'test.lan': { file: path.basename(zoneFile) } }
+    };
+    fs.writeFileSync(configFile, JSON.stringify(config));
+
+    const daemon = cli.serve(configFile, (err) => {
+        t.error(err, 'daemon listening');
+        const port = daemon.server.address().port;
+        const target = '127.0.0.1@' + port;
+
+        cli.dump(target, 'test.lan', {}, (err, text) => {
+            t.error(err, 'zone dumped');
+            t.match(text, /\sSOA\s+\S+\s+\S+\s+10\s/, 'source serial kept');
+            t.match(text, /^www\s.*127\.0\.0\.1$/m,
+                'zone file records served');
+
+            // Change the zone file, and wait for the reload.
+            daemon.zones['test.lan'].once('commit', (serial) => {
+                t.equal(serial, 11, 'serial bumped on change');
+                client.transfer({ port, name: 'test.lan' }, (err, res) => {
+                    t.deepEqual(res.records.filter((record) => {
+                        return record.type === QTYPE.A;
+                    }).map((record) => record.address), ['127.0.0.3'],
+                        'changed records served');
+
+                    // Reload the config with an additional zone.
+                    config.zones['test.net'] = {
+                        file: path.basename(jsonFile)
+                    };
+                    fs.writeFileSync(configFile, JSON.stringify(config));
+                    daemon.reload();
+                    cli.dump(target, 'test.net', {}, (err, text) => {
+                        t.error(err, 'added zone dumped');
+                        t.match(text, /^@\s+60\s.*127\.0\.0\.2$/m,
+                            'JSON records served');
+                        daemon.close(() => t.pass('daemon closed'));
+                    });
+                });
+            });
+            writeZone(['www  A  127.0.0.3']);
+            const future = new Date(Date.now() + 2000);
+            fs.utimesSync(zoneFile, future, future);
+        });
+    });
+});
+
+t.test('cli restart', { timeout: 5000 }, (t) => {
+    t.plan(4);
+
+    const cli = quietCli(t);
+    const dir = tempDir(t);
+    const configFile = path.join(dir, 'config.json');
+    const zoneFile = path.join(dir, 'test.lan.zone');
+    const writeZone = (serial, address) => {
+        fs.writeFileSync(zoneFile, [
+            '$ORIGIN test.lan.',
+            '@  300  SOA ns1 hostmaster ' + serial + ' 3600 900 1209600 300',
+            'www  300  A  ' + address
+        ].join('\n') + '\n');
+    };
+    writeZone(10, '127.0.0.1');
+    fs.writeFileSync(configFile, JSON.stringify({
+        listen: { port: 0, address: '127.0.0.1', udp: false },
+        zones: { 'test.lan': { file: path.basename(zoneFile) } }
+    }));
+
+    // Start the daemon, and call back with the zone once listening.
+    const start = (cb) => {
+        const daemon = cli.serve(configFile, (err) => {
+            if (err)
+                return t.threw(err);
+            cb(daemon.zones['test.lan'], daemon);
+        });
+    };
+
+    start((zone, daemon) => {
+        // A runtime change, like an UPDATE, which the source doesn't have.
+        zone.add(buildRecord('new.test.lan', '127.0.0.2')).commit();
+        daemon.close(() => start((zone, daemon) => {
+            t.equal(zone.serial, 12, 'serial follows runtime changes');
+            daemon.close(() => start((zone, daemon) => {
+                t.equal(zone.serial, 12, 'serial kept without changes');
+                daemon.close(() => {
+                    writeZone(10, '127.0.0.3');
+                    start((zone, daemon) => {
+                        t.equal(zone.serial, 13, 'serial bumped for changes');
+                        daemon.close(() => {
+                            writeZone(20, '127.0.0.3');
+                            start((zone, daemon) => {
+                                t.equal(zone.serial, 20,
+                                    'newer source serial used');
+                                daemon.close();
+                            });
+                        });
+                    });
+                });
+            }));
+        }));
+    });
+});
+
+t.test('dynamic update', { timeout: 2000 }, (t) => {
+    t.plan(22);
+
+    const CLASS_NONE = 254;
+    const CLASS_ANY = 255;
+
+    // Build an UPDATE message. Records without rdata properties are written
+    // with empty rdata, as used for deletions and prerequisites. Raw rdata
+    // may be given as `rdata`.
+    const buildUpdate = (zoneName, prereqs, updates) => {
+        const header = new Buffer(12);
+        header.fill(0);
+        header.writeUInt16BE(1234, 0);
+        header.writeUInt16BE(5 << 11, 2);
+        header.writeUInt16BE(1, 4);
+        header.writeUInt16BE(prereqs.length, 6);
+        header.writeUInt16BE(updates.length, 8);
+
+        const question = new Buffer(4);
+        question.writeUInt16BE(QTYPE.SOA, 0);
+        question.writeUInt16BE(QCLASS.IN, 2);
+
+        const parts = [header, zonemaster.tsig.encodeName(zoneName), question];
+        prereqs.concat(updates).forEach((record) => {
+            const data = record.rdata || (record.address || record.data ?
+                zonemaster.dnssec.encodeData(record) : new Buffer(0));
+            const fixed = new Buffer(10);
+            fixed.writeUInt16BE(record.type, 0);
+            fixed.writeUInt16BE(record.class, 2);
+            fixed.writeUInt32BE(record.ttl || 0, 4);
+            fixed.writeUInt16BE(data.length, 8);
+            parts.push(zonemaster.tsig.encodeName(record.name), fixed, data);
+        });
+        return Buffer.concat(parts);
+    };
+
+    const send = (port, data, cb) => {
+        const socket = dgram.createSocket('udp4');
+        socket.on('error', t.threw);
+        socket.on('message', (msg) => {
+            socket.close();
+            cb(zonemaster.parsePacket(msg));
+        });
+        socket.send(data, 0, data.length, port, '127.0.0.1');
+    };
+
+    const zone = new zonemaster.Zone('test.lan');
+    zone.add({ type: QTYPE.NS, name: 'test.lan', data: 'ns.example.com' });
+    zone.commit();
+
+    // Operations apply in order, including those staged in the same message.
+    const ordered = new zonemaster.Zone('test.lan');
+    ordered.add(buildRecord('www.test.lan', '10.0.0.1')).commit();
+    zonemaster.update.applyToZone(ordered, [
+        { op: 'add', record: buildRecord('www.test.lan', '10.0.0.2') },
+        { op: 'add', record: buildRecord('ftp.test.lan', '10.0.0.3') },
+        { op: 'deleteName', name: 'www.test.lan' },
+        { op: 'deleteName', name: 'ftp.test.lan' }
+    ]);
+    t.same(ordered.records(), [], 'staged records deleted by name');
+
+    // CNAME-records don't share a name with other data, and replace each
+    // other.
+    const cname = (name, data) => ({
+        class: QCLASS.IN, type: QTYPE.CNAME, name, ttl: 3600, data
+    });
+    const aliases = new zonemaster.Zone('test.lan');
+    aliases.add(buildRecord('www.test.lan', '10.0.0.1')).commit();
+    zonemaster.update.applyToZone(aliases, [
+        { op: 'add', record: cname('www.test.lan', 'one.example.com') },
+        { op: 'add', record: cname('ftp.test.lan', 'one.example.com') },
+        { op: 'add', record: buildRecord('ftp.test.lan', '10.0.0.2') },
+        { op: 'add', record: cname('ftp.test.lan', 'two.example.com') }
+    ]);
+    t.same(aliases.getRRset('www.test.lan', QTYPE.CNAME), [],
+        'CNAME not added next to other data');
+    t.same(aliases.getRRset('ftp.test.lan', QTYPE.A), [],
+        'other data not added next to CNAME');
+    t.same(aliases.getRRset('ftp.test.lan', QTYPE.CNAME).map((record) => {
+        return record.data;
+    }), ['two.example.com'], 'CNAME replaced');
+
+    // Rdata too short for the type is rejected.
+    const short = (type, length) => buildUpdate('test.lan', [], [{
+        class: QCLASS.IN, type, name: 'bad.test.lan', ttl: 300,
+        rdata: new Buffer(length).fill(0)
+    }]);
+    t.throws(() => zonemaster.parsePacket(short(QTYPE.A, 2)),
+        /Invalid rdata length/, 'short A rdata rejected');
+    t.throws(() => zonemaster.parsePacket(short(QTYPE.AAAA, 4)),
+        /Invalid rdata length/, 'short AAAA rdata rejected');
+
+    const catalog = new zonemaster.Catalog('catalog.lan');
+    const master = zonemaster({
+        zones: { 'test.lan': zone },
+        catalog,
+        acl: {
+            update: { allow: ['127.0.0.1'] },
+            transfer: { allow: ['127.0.0.1'] }
+        }
+    });
+    master.on('error', t.threw);
+    master.once('update', (name, operations) => {
+        t.same([name, operations[0].op], ['test.lan', 'add'],
+            'update event emitted');
+    });
+
+    const www = {
+        class: QCLASS.IN, type: QTYPE.A, name: 'www.test.lan',
+        ttl: 300, address: '10.0.0.1'
+    };
+
+    master.listen(0, '127.0.0.1', () => {
+        const port = master.address().port;
+        t.teardown(() => master.close());
+
+        master.listenUdp(port, (err) => {
+            t.error(err, 'listening on udp');
+
+            // Add a record, if the name is not in use.
+            const notInUse = {
+                class: CLASS_NONE, type: QTYPE.ANY, name: 'www.test.lan'
+            };
+            send(port, buildUpdate('test.lan', [notInUse], [www]), (res) => {
+                t.equal(res.header.rcode, RCODE.NOERROR, 'update applied');
+                t.equal(zone.getRRset('www.test.lan', QTYPE.A).length, 1,
+                    'record added');
+                t.equal(zone.serial, 3, 'serial bumped');
+
+                // The catalog can't be updated directly.
+                const member = {
+                    class: QCLASS.IN, type: QTYPE.PTR, ttl: 0,
+                    name: catalog.memberName('evil.lan'), data: 'evil.lan'
+                };
+                send(port, buildUpdate('catalog.lan', [], [member]), (res) => {
+                    t.equal(res.header.rcode, RCODE.REFUSED,
+                        'catalog update refused');
+                    t.same(catalog.members(), ['test.lan'],
+                        'catalog unchanged');
+                });
+
+                // Adds must have rdata, or the zone can't be transferred.
+                const empty = {
+                    class: QCLASS.IN, type: QTYPE.A, name: 'bad.test.lan',
+                    ttl: 300
+                };
+                send(port, buildUpdate('test.lan', [], [empty]), (res) => {
+                    t.equal(res.header.rcode, RCODE.FORMERR,
+                        'add without rdata rejected');
+                    const req = buildQuery('test.lan', QTYPE.AXFR);
+                    transfer(t, port, req, (responses) => {
+                        const records = [].concat.apply([],
+                            responses.map((res) => res.answer));
+                        t.equal(responses[0].header.rcode, RCODE.NOERROR,
+                            'zone transferred');
+                        t.notOk(records.some((record) => {
+                            return record.name === 'bad.test.lan';
+                        }), 'record without rdata not added');
+                    });
+                });
+
+                // The name is now in use.
+                const data = buildUpdate('test.lan', [notInUse], [www]);
+                send(port, data, (res) => {
+                    t.equal(res.header.rcode, RCODE.YXDOMAIN,
+                        'name in use');
+                });
+
+                // There is no TXT RRset.
+                const txtExists = {
+                    class: CLASS_ANY, type: QTYPE.TXT, name: 'www.test.lan'
+                };
+                send(port, buildUpdate('test.lan', [txtExists], [www]),
+                    (res) => {
+                        t.equal(res.header.rcode, RCODE.NXRRSET,
+                            'RRset does not exist');
+                    });
+
+                // Names outside of the zone.
+                const other = Object.assign({}, www, {
+                    name: 'www.example.com'
+                });
+                send(port, buildUpdate('test.lan', [], [other]), (res) => {
+                    t.equal(res.header.rcode, RCODE.NOTZONE, 'not in zone');
+
+                    // Delete the RRset, if it matches exactly.
+                    const match = Object.assign({}, www, { ttl: 0 });
+                    const deleteRRset = {
+                        class: CLASS_ANY, type: QTYPE.A, name: 'www.test.lan'
+                    };
+                    const data = buildUpdate(
+                        'test.lan', [match], [deleteRRset]);
+                    send(port, data, (res) => {
+                        t.equal(res.header.rcode, RCODE.NOERROR,
+                            'prerequisite matched');
+                        t.equal(zone.getRRset('www.test.lan', QTYPE.A).length,
+                            0, 'RRset deleted');
+
+                        // Require a key.
+                        master.params.acl.update.keys = ['update-key'];
+                        send(port, buildUpdate('test.lan', [], [www]),
+                            (res) => {
+                                t.equal(res.header.rcode, RCODE.REFUSED,
+                                    'unsigned update refused');
+                            });
+                    });
+                });
+            });
+        });
+    });
+});
+
+t.test('catalog', { timeout: 2000 }, (t) => {
+    t.plan(10);
+
+    const catalog = new zonemaster.Catalog('catalog.lan');
+    const testZone = new zonemaster.Zone('test.lan');
+    testZone.catalog = { group: 'primary' };
+
+    const master = zonemaster({
+        catalog,
+        acl: { transfer: { allow: ['127.0.0.1'] } },
+        zones: {
+            'test.lan': testZone,
+            'other.lan': {
+                catalog: false,
+                soaFn(conn, req, cb) {
+                    cb(null, buildSoa('other.lan', 1));
+                },
+                bodyFn(conn, req, soa, emit, cb) {
+                    cb(null);
+                }
+            }
+        }
+    });
+    master.on('error', t.threw);
+    t.same(catalog.members(), ['test.lan'], 'zones listed as members');
+
+    const slave = createSlave(t, (req) => {
+        t.equal(req.question[0].name, 'catalog.lan', 'catalog notified');
+        return buildResponse(req);
+    });
+
+    master.listen(0, '127.0.0.1', () => {
+        const port = master.address().port;
+        t.teardown(() => master.close());
+
+        const req = buildQuery('catalog.lan', QTYPE.AXFR);
+        transfer(t, port, req, (responses) => {
+            const records = [].concat.apply([], responses.map((res) => {
+                return res.answer;
+            }));
+            const find = (name, type) => records.find((record) => {
+                return record.name === name && record.type === type;
+            });
+
+            const version = find('version.catalog.lan', QTYPE.TXT);
+            t.same(version && version.data, ['2'], 'version record');
+
+            const owner = zonemaster.catalogMemberLabel('test.lan') +
+                '.zones.catalog.lan';
+            const member = find(owner, QTYPE.PTR);
+            t.equal(member && member.data, 'test.lan', 'member record');
+
+            const group = find('group.' + owner, QTYPE.TXT);
+            t.same(group && group.data, ['primary'], 'group property');
+
+            slave.listen(0, '127.0.0.1', () => {
+                const slavePort = slave.address().port;
+                t.teardown(() => slave.close());
+
+                master.setSlaves(['127.0.0.1@' + slavePort], (err) => {
+                    t.error(err, 'slaves set');
+
+                    // Adding a zone changes the catalog, and notifies.
+                    const serial = catalog.serial;
+                    master.addZone('new.lan', new zonemaster.Zone('new.lan'));
+                    t.same(catalog.members().sort(), ['new.lan', 'test.lan'],
+                        'added zone listed');
+                    t.equal(catalog.serial, serial + 1,
+                        'catalog serial bumped');
+
+                    master.once('notifyAck', () => {
+                        t.ok(master.removeZone('new.lan'), 'zone removed');
+                    });
+                });
+            });
+        });
+    });
+});
+
+t.test('access log', { timeout: 1000 }, (t) => {
+    t.plan(7);
+
+    const entries = [];
+    const master = zonemaster({
+        domain: 'test.lan',
+        acl: { transfer: { allow: ['127.0.0.1'] } },
+        accessLogFn(conn, req, entry) {
+            entries.push(entry);
+        },
+        soaFn(conn, req, cb) {
+            cb(null, buildSoa('test.lan', 5));
+        },
+        bodyFn(conn, req, soa, emit, cb) {
+            emit(buildRecord('one.test.lan', '10.0.0.1'));
+            emit(buildRecord('two.test.lan', '10.0.0.2'));
+            cb(null);
+        }
+    });
+    master.on('error', t.threw);
+
+    master.listen(0, '127.0.0.1', () => {
+        const port = master.address().port;
+        t.teardown(() => master.close());
+
+        transfer(t, port, buildQuery('test.lan', QTYPE.AXFR), () => {
+            const entry = entries[0];
+            t.same({
+                address: entry.address,
+                zone: entry.zone,
+                question: entry.question,
+                rcode: entry.rcode,
+                serial: entry.serial,
+                records: entry.records,
+                error: entry.error
+            }, {
+                address: '127.0.0.1',
+                zone: 'test.lan',
+                question: 'QUERY IN AXFR',
+                rcode: 'NOERROR',
+                serial: 5,
+                records: 2,
+                error: null
+            }, 'transfer logged');
+            t.ok(entry.bytes > 0, 'bytes logged');
+            t.ok(entry.duration >= 0, 'duration logged');
+
+            const json = JSON.parse(zonemaster.accessLog.formatJson(entry));
+            t.equal(json.time, entry.time.toISOString(), 'JSON format');
+
+            const line = zonemaster.accessLog.formatBind(entry);
+            t.match(line, /^\d\d-\w{3}-\d{4} [\d:.]+ client 127\.0\.0\.1#\d+ /,
+                'BIND format prefix');
+            t.match(line, /transfer of 'test.lan\/IN': AXFR ended: 2 records/,
+                'BIND format transfer');
+
+            query(t, port, 'other.lan', QTYPE.SOA, 1, () => {
+                t.same([entries[1].zone, entries[1].rcode], [null, 'REFUSED'],
+                    'refusal logged');
+            });
+        });
+    });
+});
+
+t.test('admin api', { timeout: 2000 }, (t) => {
+    t.plan(10);
+
+    const http = require('http');
+
+    const master = zonemaster({
+        domain: 'test.lan',
+        soaFn(conn, req, cb) {
+            cb(null, buildSoa('test.lan', 7));
+        },
+        bodyFn(conn, req, soa, emit, cb) {
+            cb(null);
+        }
+    });
+    master.on('error', t.threw);
+
+    const slave = createSlave(t, (req) => buildResponse(req));
+
+    // Send a request to the admin API, and parse the response.
+    let adminPort;
+    const request = (method, path, body, token, cb) => {
+        const req = http.request({
+            host: '127.0.0.1',
+            port: adminPort,
+            method,
+            path,
+            headers: token ? { Authorization: 'Bearer ' + token } : {}
+        }, (res) => {
+            res.pipe(concatStream((data) => {
+                cb(res.statusCode, JSON.parse(data.toString()));
+            }));
+        });
+        req.on('error', t.threw);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+    const api = (method, path, body, cb) => {
+        request(method, path, body, 'secret', cb);
+    };
+
+    master.listen(0, '127.0.0.1', () => {
+        t.teardown(() => master.close());
+
+        master.listenAdmin({ port: 0, token: 'secret' }, (err) => {
+            t.error(err, 'admin API listening');
+            adminPort = master.adminServers[0].address().port;
+
+            request('GET', '/health', undefined, 'wrong', (status) => {
+                t.equal(status, 401, 'token required');
+            });
+
+            api('GET', '/zones', undefined, (status, zones) => {
+                t.same(zones, [{ name: 'test.lan', serial: 7, slaves: [] }],
+                    'zones listed');
+            });
+
+            api('GET', '/zones/other.lan', undefined, (status) => {
+                t.equal(status, 404, 'unknown zone');
+            });
+
+            api('PUT', '/slaves', [{ host: 123 }], (status, res) => {
+                t.same([status, res.error],
+                    [400, 'Invalid slave: {"host":123}'],
+                    'slave without string host rejected');
+            });
+
+            api('PUT', '/zones/test.lan/slaves', [null], (status) => {
+                t.equal(status, 400, 'null slave rejected');
+                t.same(master.zoneSlaves['test.lan'], undefined,
+                    'zone slaves unchanged');
+            });
+
+            slave.listen(0, '127.0.0.1', () => {
+                const target = '127.0.0.1@' + slave.address().port;
+                t.teardown(() => slave.close());
+
+                api('PUT', '/slaves', [target], (status, res) => {
+                    t.same(res.slaves[0].addresses, ['127.0.0.1'],
+                        'slaves set');
+
+                    api('POST', '/zones/test.lan/notify', undefined,
+                        (status, results) => {
+                            t.same([results.length, results[0].error],
+                                [1, null], 'slaves notified');
+
+                            api('GET', '/health', undefined, (status, res) => {
+                                t.same([status, res.status], [200, 'ok'],
+                                    'healthy');
+                            });
+                        });
+                });
+            });
+        });
+    });
+});
+
+t.test('shutdown and reload', { timeout: 2000 }, (t) => {
+    t.plan(3);
+
+    // A zone with a body that takes a while, or never finishes.
+    const createParams = (serial, delay) => ({
+        domain: 'test.lan',
+        acl: {
+            query: { allow: ['127.0.0.1'] },
+            transfer: { allow: ['127.0.0.1'] }
+        },
+        soaFn(conn, req, cb) {
+            cb(null, buildSoa('test.lan', serial));
+        },
+        bodyFn(conn, req, soa, emit, cb) {
+            if (delay === undefined)
+                return;
+            setTimeout(() => {
+                emit(buildRecord('one.test.lan', '10.0.0.' + serial));
+                cb(null);
+            }, delay);
+        }
+    });
+
+    t.test('reload', (t) => {
+        t.plan(3);
+
+        const master = zonemaster(createParams(1, 50));
+        master.on('error', t.threw);
+
+        master.listen(0, '127.0.0.1', () => {
+            const port = master.address().port;
+            t.teardown(() => master.close());
+
+            const req = buildQuery('test.lan', QTYPE.AXFR);
+            transfer(t, port, req, (responses) => {
+                t.equal(responses[1].answer[0].address, '10.0.0.1',
+                    'running transfer uses old params');
+            });
+
+            master.once('transferStart', () => {
+                master.reload(createParams(2, 0), (err) => {
+                    t.error(err, 'reloaded');
+                    query(t, port, 'test.lan', QTYPE.SOA, 1, (responses) => {
+                        t.equal(responses[0].answer[0].serial, 2,
+                            'new requests use new params');
+                    });
+                });
+            });
+        });
+    });
+
+    t.test('graceful', (t) => {
+        t.plan(4);
+
+        const master = zonemaster(createParams(1, 50));
+        master.on('error', t.threw);
+
+        master.listen(0, '127.0.0.1', () => {
+            const port = master.address().port;
+
+            // An idle connection, to request on during shutdown.
+            const idle = net.connect(port, '127.0.0.1');
+            idle.on('error', t.threw);
+            idle.on('close', () => t.pass('idle connection closed'));
+
+            const req = buildQuery('test.lan', QTYPE.AXFR);
+            transfer(t, port, req, (responses) => {
+                t.equal(responses.length, 3, 'running transfer finished');
+            });
+
+            master.once('transferStart', () => {
+                master.shutdown({ timeout: 1000 }, (err) => {
+                    t.error(err, 'shut down');
+                    t.notOk(master.listening, 'not listening');
+                });
+            });
+        });
+    });
+
+    t.test('timeout', (t) => {
+        t.plan(2);
+
+        const master = zonemaster(createParams(1));
+        master.on('error', t.threw);
+
+        master.listen(0, '127.0.0.1', () => {
+            const port = master.address().port;
+
+            const conn = query(t, port, 'test.lan', QTYPE.AXFR, 2, () => {});
+            conn.on('close', () => t.pass('transfer aborted'));
+
+            master.once('transferStart', () => {
+                master.shutdown({ timeout: 50 }, (err) => {
+                    t.equal(err && err.code, 'ETIMEDOUT', 'timed out');
+                });
+            });
+        });
+    });
+});
+
+t.test('mock secondary', { timeout: 3000 }, (t) => {
+    t.plan(8);
+
+    const zone = new zonemaster.Zone('test.lan', { serial: 1, journal: true });
+    zone.add([
+        buildRecord('one.test.lan', '10.0.0.1'),
+        buildRecord('two.test.lan', '10.0.0.2')
+    ]).commit();
+    const master = zonemaster({ zones: { 'test.lan': zone } });
+    master.on('error', t.threw);
+
+    const secondary = new zonemaster.MockSecondary({ zones: ['test.lan'] });
+    const names = () => secondary.zone('test.lan').records
+        .map((record) => record.name).sort();
+
+    master.listen(0, '127.0.0.1', () => {
+        t.teardown(() => {
+            master.close();
+            secondary.close();
+        });
+
+        secondary.register(master, (err) => {
+            t.error(err, 'registered');
+            t.same(names(), ['one.test.lan', 'two.test.lan'],
+                'zone transferred');
+
+            secondary.once('transfer', (entry) => {
+                t.same([entry.query, entry.incremental, entry.serial],
+                    ['IXFR', true, zone.serial], 'IXFR after NOTIFY');
+                t.same(names(), ['three.test.lan', 'two.test.lan'],
+                    'changes applied');
+                t.same(secondary.events.map((entry) => entry.type),
+                    ['soa', 'transfer', 'notify', 'soa', 'transfer'],
+                    'events recorded');
+
+                secondary.once('failure', (entry) => {
+                    t.equal(entry.error.message, 'Connection dropped',
+                        'dropped transfer fails');
+
+                    secondary.dropAfter = undefined;
+                    secondary.readDelay = 5;
+                    secondary.refresh('test.lan', (err, entry) => {
+                        t.error(err, 'slow transfer completes');
+                        t.equal(entry.records, 4, 'all records read');
+                    });
+                });
+                secondary.ixfr = false;
+                secondary.dropAfter = 2;
+                zone.add(buildRecord('four.test.lan', '10.0.0.4')).commit();
+            });
+            zone.remove(buildRecord('one.test.lan', '10.0.0.1'))
+                .add(buildRecord('three.test.lan', '10.0.0.3')).commit();
+        });
+    });
+});
+
+t.test('mock secondary register failure', { timeout: 3000 }, (t) => {
+    t.plan(2);
+
+    const zone = new zonemaster.Zone('test.lan', { serial: 1 });
+    zone.add(buildRecord('one.test.lan', '10.0.0.1')).commit();
+    const master = zonemaster({ zones: { 'test.lan': zone } });
+    master.on('error', t.threw);
+
+    const secondary = new zonemaster.MockSecondary({
+        zones: ['other.lan', 'test.lan']
+    });
+
+    master.listen(0, '127.0.0.1', () => {
+        t.teardown(() => {
+            master.close();
+            secondary.close();
+        });
+
+        secondary.register(master, (err) => {
+            t.equal(err && err.message, 'Request failed with rcode REFUSED',
+                'refresh error passed');
+            t.ok(secondary.zone('test.lan'), 'other zones transferred');
         });
     });
 });